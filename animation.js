@@ -1,581 +1,472 @@
 /**
- * Tournament Animation Player - SVG-based visualization with play/pause/step controls
+ * Animation - Figure 2: two <blitzrank-player> panels (blitzrank-player.js)
+ * under the figure's shared controls, with algorithm pickers, generated
+ * instances, export, oracle cost and the figure state kept in the URL
  */
 
-class TournamentAnimationPlayer {
-    constructor(container, data, options = {}) {
-        this.container = container;
-        this.data = data;
-        this.config = data.config;
-        this.frames = data.frames;
-        this.currentFrame = 0;
-        this.isPlaying = false;
-        this.playTimeout = null;
-        this.speed = options.speed || 1200; // ms per frame (1x = slowest)
-        this.onFrameChange = options.onFrameChange || null;
-        this.prevDegrees = {}; // Track previous L/W for highlighting changes
-        
-        // Layout config
-        this.cols = 5;
-        this.nodeRadius = 18;
-        this.spacing = 60;
-        this.width = this.cols * this.spacing + 40;
-        this.height = Math.ceil(this.config.n / this.cols) * this.spacing + 100;
-        
-        // Create SVG
-        this.svg = this.createSVG();
-        this.nodeElements = {};
-        this.edgeGroup = null;
-        this.labelElement = null;
-        
-        this.init();
-    }
-
-    createSVG() {
-        const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-        svg.setAttribute('viewBox', `0 0 ${this.width} ${this.height}`);
-        svg.setAttribute('class', 'tournament-svg');
-        this.container.appendChild(svg);
-        return svg;
-    }
+import { validateTrace, loadValidated, showFigureError } from './data-schema.js';
+import { readFigureState, writeFigureState, onFigureStateChange } from './figure-state.js';
+import { createInstance, generateTrace } from './trace-generator.js';
+import { TournamentAnimationPlayer, reducedMotion } from './player.js';
+import './blitzrank-player.js';
+import { exportAnimation } from './export.js';
+import { CostCounters, CostChart } from './cost-meter.js';
 
-    getNodePosition(nodeId) {
-        const idx = nodeId - 1;
-        const row = Math.floor(idx / this.cols);
-        const col = idx % this.cols;
-        return {
-            x: col * this.spacing + this.spacing / 2 + 20,
-            y: row * this.spacing + this.spacing / 2 + 60
-        };
-    }
+// Initialize animations when DOM is ready
+async function initAnimations() {
+    // Left and right panels; each can show any registered algorithm. In round
+    // sync the right one carries sync-with and follows the left one.
+    const panels = [
+        document.getElementById('left-player'),
+        document.getElementById('right-player')
+    ];
+    
+    if (panels.some(p => !p)) return;
+    const [leftPanel, rightPanel] = panels;
 
-    init() {
-        // Defs for arrowheads
-        const defs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
-        
-        // New edge marker (cyan) - smaller, thinner
-        const markerNew = document.createElementNS('http://www.w3.org/2000/svg', 'marker');
-        markerNew.setAttribute('id', `arrow-new-${this.container.id}`);
-        markerNew.setAttribute('viewBox', '0 0 10 10');
-        markerNew.setAttribute('refX', '10');
-        markerNew.setAttribute('refY', '5');
-        markerNew.setAttribute('markerWidth', '5');
-        markerNew.setAttribute('markerHeight', '5');
-        markerNew.setAttribute('orient', 'auto-start-reverse');
-        const pathNew = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-        pathNew.setAttribute('d', 'M 0 1 L 10 5 L 0 9 z');
-        pathNew.setAttribute('fill', '#00CED1');
-        markerNew.appendChild(pathNew);
-        defs.appendChild(markerNew);
-        
-        // Old edge marker (gray) - very small
-        const markerOld = document.createElementNS('http://www.w3.org/2000/svg', 'marker');
-        markerOld.setAttribute('id', `arrow-old-${this.container.id}`);
-        markerOld.setAttribute('viewBox', '0 0 10 10');
-        markerOld.setAttribute('refX', '10');
-        markerOld.setAttribute('refY', '5');
-        markerOld.setAttribute('markerWidth', '3');
-        markerOld.setAttribute('markerHeight', '3');
-        markerOld.setAttribute('orient', 'auto-start-reverse');
-        const pathOld = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-        pathOld.setAttribute('d', 'M 0 1 L 10 5 L 0 9 z');
-        pathOld.setAttribute('fill', '#AAAAAA');
-        markerOld.appendChild(pathOld);
-        defs.appendChild(markerOld);
-        
-        // Inferred edge marker (orange) - for transitive closure
-        const markerInferred = document.createElementNS('http://www.w3.org/2000/svg', 'marker');
-        markerInferred.setAttribute('id', `arrow-inferred-${this.container.id}`);
-        markerInferred.setAttribute('viewBox', '0 0 10 10');
-        markerInferred.setAttribute('refX', '10');
-        markerInferred.setAttribute('refY', '5');
-        markerInferred.setAttribute('markerWidth', '4');
-        markerInferred.setAttribute('markerHeight', '4');
-        markerInferred.setAttribute('orient', 'auto-start-reverse');
-        const pathInferred = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-        pathInferred.setAttribute('d', 'M 0 1 L 10 5 L 0 9 z');
-        pathInferred.setAttribute('fill', '#F59E0B');
-        markerInferred.appendChild(pathInferred);
-        defs.appendChild(markerInferred);
-        
-        this.svg.appendChild(defs);
-
-        // Round label
-        this.labelElement = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-        this.labelElement.setAttribute('x', this.width / 2);
-        this.labelElement.setAttribute('y', '28');
-        this.labelElement.setAttribute('class', 'round-label');
-        this.svg.appendChild(this.labelElement);
-
-        // Phase label  
-        this.phaseElement = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-        this.phaseElement.setAttribute('x', this.width / 2);
-        this.phaseElement.setAttribute('y', '48');
-        this.phaseElement.setAttribute('class', 'phase-label');
-        this.svg.appendChild(this.phaseElement);
-
-        // Create nodes first (so edges can be drawn on top)
-        const nodeGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        nodeGroup.setAttribute('class', 'nodes');
-        
-        for (let i = 1; i <= this.config.n; i++) {
-            const pos = this.getNodePosition(i);
-            const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-            g.setAttribute('class', 'node');
-            g.setAttribute('data-id', i);
-            g.setAttribute('transform', `translate(${pos.x}, ${pos.y})`);
-
-            // Circle
-            const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-            circle.setAttribute('r', this.nodeRadius);
-            circle.setAttribute('class', 'node-circle');
-            g.appendChild(circle);
-
-            // ID text
-            const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-            text.setAttribute('class', 'node-id');
-            text.setAttribute('dy', '0.35em');
-            text.textContent = i;
-            g.appendChild(text);
-
-            // Degree labels (for BlitzRank)
-            if (this.config.algorithm === 'blitzrank') {
-                const lossLabel = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-                lossLabel.setAttribute('class', 'degree-label loss');
-                lossLabel.setAttribute('x', -10);
-                lossLabel.setAttribute('y', this.nodeRadius + 12);
-                lossLabel.textContent = '0';
-                g.appendChild(lossLabel);
-
-                const winLabel = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-                winLabel.setAttribute('class', 'degree-label win');
-                winLabel.setAttribute('x', 10);
-                winLabel.setAttribute('y', this.nodeRadius + 12);
-                winLabel.textContent = '0';
-                g.appendChild(winLabel);
-            }
+    // Shared controls
+    const playPauseBtn = document.getElementById('play-pause-btn');
+    const stepBackBtn = document.getElementById('step-back-btn');
+    const stepForwardBtn = document.getElementById('step-forward-btn');
+    const progressSlider = document.getElementById('progress-slider');
+    const speedSelect = document.getElementById('speed-select');
+    const resetBtn = document.getElementById('reset-btn');
+    const layoutSelect = document.getElementById('layout-select');
+    const roundBackBtn = document.getElementById('round-back-btn');
+    const roundForwardBtn = document.getElementById('round-forward-btn');
+    const syncSelect = document.getElementById('sync-select');
+
+    // Algorithm pickers, one per panel
+    const pickers = [
+        document.getElementById('left-algorithm'),
+        document.getElementById('right-algorithm')
+    ];
+    const defaultAlgorithms = ['blitzrank', 'sliding_window'];
+
+    // Edge view pickers (all edges, direct only, Hasse diagram), one per panel
+    const edgeViewPickers = [
+        document.getElementById('left-edge-view'),
+        document.getElementById('right-edge-view')
+    ];
+
+    // Trace generator inputs
+    const traceInputs = {
+        n: document.getElementById('trace-n'),
+        k: document.getElementById('trace-k'),
+        m: document.getElementById('trace-m'),
+        seed: document.getElementById('trace-seed')
+    };
+    const generateBtn = document.getElementById('generate-btn');
+    const traceStatus = document.getElementById('trace-status');
+
+    // Export controls
+    const exportFormat = document.getElementById('export-format');
+    const exportFrames = document.getElementById('export-frames');
+    const exportBtn = document.getElementById('export-btn');
+    const exportStatus = document.getElementById('export-status');
+
+    // Oracle cost: counters under each panel and a chart under both
+    const costChartContainer = document.getElementById('cost-chart');
+    const costChart = costChartContainer
+        ? new CostChart(costChartContainer, document.getElementById('cost-metric'))
+        : null;
+    let costCounters = [];
+
+    // Load data - a file that is missing or fails validation is reported in
+    // its panel instead of taking the whole figure down
+    const validate = data => validateTrace(data, TournamentAnimationPlayer.algorithms);
+    const [blitzrankResult, slidingWindowResult] = await Promise.allSettled([
+        loadValidated('gif/blitzrank.json', validate),
+        loadValidated('gif/sliding_window.json', validate)
+    ]);
+    const bakedTraces = {};
+    const loadErrors = {};
+    [['blitzrank', blitzrankResult], ['sliding_window', slidingWindowResult]].forEach(([algorithm, result]) => {
+        if (result.status === 'fulfilled') bakedTraces[algorithm] = result.value;
+        else loadErrors[algorithm] = result.reason;
+    });
 
-            nodeGroup.appendChild(g);
-            this.nodeElements[i] = g;
+    // The paper's 25 horses puzzle: published traces are shown as-is and the
+    // other algorithms are generated against the same ground truth
+    const paperTrace = bakedTraces.blitzrank || bakedTraces.sliding_window;
+    const paperInstance = paperTrace && paperTrace.groundTruth
+        ? { ...paperTrace.config, ranking: paperTrace.groundTruth }
+        : null;
+    let instance = paperInstance;
+    const traceFor = (algorithm) => {
+        if (!instance) throw new Error('The 25 horses instance could not be loaded; use Generate to run a new one.');
+        if (instance === paperInstance) {
+            if (loadErrors[algorithm]) throw loadErrors[algorithm];
+            if (bakedTraces[algorithm]) return bakedTraces[algorithm];
         }
-        
-        this.svg.appendChild(nodeGroup);
-
-        // Edge group (drawn after nodes, so edges appear on top)
-        this.edgeGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        this.edgeGroup.setAttribute('class', 'edges');
-        this.svg.appendChild(this.edgeGroup);
-        
-        // Render initial frame
-        this.renderFrame(0);
-    }
-
-    renderFrame(index) {
-        if (index < 0 || index >= this.frames.length) return;
-        this.currentFrame = index;
-        const frame = this.frames[index];
+        return generateTrace(algorithm, instance);
+    };
 
-        // Update label
-        this.labelElement.textContent = frame.roundLabel;
-        
-        // Phase text - educational descriptions (different for each algorithm)
-        // Using innerHTML to support colored text for losses/wins
-        const lossColor = '#dc2626';  // Red
-        const winColor = '#16a34a';   // Green
-        const loss = `<tspan fill="${lossColor}">losses</tspan>`;
-        const win = `<tspan fill="${winColor}">wins</tspan>`;
-        const lossShort = `<tspan fill="${lossColor}">losses</tspan>`;
-        
-        const blitzrankPhases = {
-            idle: '',
-            select: `Step 1: Select nodes with fewest ${lossShort}`,
-            compare: 'Step 2: Compare via oracle (LLM)',
-            closure: 'Step 3: Infer edges via transitivity',
-            update_degrees: `Step 4: Update ${loss}/${win} counts`,
-            eliminate: `Step 5: Eliminate nodes with ${lossShort} ≥ 3`,
-            finalize: 'Step 6: Finalize top-3 nodes',
-            final: ''
-        };
-        const slidingWindowPhases = {
-            idle: '',
-            select: 'Step 1: Select nodes from the right',
-            compare: 'Step 2: Compare using oracle (LLM)',
-            eliminate: 'Step 3: Eliminate bottom nodes',
-            finalize: 'Step 4: Finalize top-3 nodes',
-            final: ''
-        };
-        const phaseTexts = this.config.algorithm === 'blitzrank' ? blitzrankPhases : slidingWindowPhases;
-        this.phaseElement.innerHTML = phaseTexts[frame.phase] || '';
+    pickers.forEach((picker, i) => {
+        if (!picker) return;
+        Object.entries(TournamentAnimationPlayer.algorithms).forEach(([name, spec]) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = spec.label;
+            picker.appendChild(option);
+        });
+        picker.value = defaultAlgorithms[i];
+    });
 
-        // Collect queried nodes
-        const queriedSet = new Set();
-        if (frame.queryGroups) {
-            frame.queryGroups.forEach(g => g.forEach(id => queriedSet.add(id)));
-        }
-        if (frame.window) {
-            frame.window.forEach(id => queriedSet.add(id));
-        }
+    edgeViewPickers.forEach((picker, i) => {
+        if (!picker) return;
+        Object.entries(TournamentAnimationPlayer.edgeViews).forEach(([name, spec]) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = spec.label;
+            picker.appendChild(option);
+        });
+        picker.value = panels[i].edgeView;
+        picker.addEventListener('change', () => panels[i].setEdgeView(picker.value));
+    });
 
-        // Update nodes
-        for (let i = 1; i <= this.config.n; i++) {
-            const nodeData = frame.nodes[String(i)];
-            const g = this.nodeElements[i];
-            if (!nodeData || !g) continue;
-
-            // Determine status class
-            let statusClass = 'pending';
-            if (queriedSet.has(i) && (frame.phase === 'select' || frame.phase === 'compare')) {
-                statusClass = 'querying';
-            } else if (nodeData.status === 'finalized_top') {
-                statusClass = 'finalized-top';
-            } else if (nodeData.status === 'finalized_out') {
-                statusClass = 'eliminated';
-            } else if (nodeData.status === 'survivor') {
-                statusClass = 'survivor';
-            } else if (nodeData.status === 'in_window') {
-                statusClass = 'querying';
-            }
+    if (layoutSelect) {
+        Object.entries(TournamentAnimationPlayer.layouts).forEach(([name, spec]) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = spec.label;
+            layoutSelect.appendChild(option);
+        });
+    }
 
-            g.setAttribute('class', `node ${statusClass}`);
-
-            // Update degree labels for BlitzRank with change highlighting
-            if (this.config.algorithm === 'blitzrank') {
-                const lossLabel = g.querySelector('.degree-label.loss');
-                const winLabel = g.querySelector('.degree-label.win');
-                
-                const prevKey = `${i}`;
-                const prev = this.prevDegrees[prevKey] || { in: 0, out: 0 };
-                const lossChanged = nodeData.inDegree !== prev.in;
-                const winChanged = nodeData.outDegree !== prev.out;
-                
-                if (lossLabel) {
-                    lossLabel.textContent = nodeData.inDegree;
-                    lossLabel.classList.toggle('changed', lossChanged && frame.phase === 'update_degrees');
-                }
-                if (winLabel) {
-                    winLabel.textContent = nodeData.outDegree;
-                    winLabel.classList.toggle('changed', winChanged && frame.phase === 'update_degrees');
-                }
-                
-                // Store current for next frame comparison
-                this.prevDegrees[prevKey] = { in: nodeData.inDegree, out: nodeData.outDegree };
-            }
-        }
+    // Playback is driven either through the left panel, whose RoundSync keeps
+    // both on the same round (positions are timeline steps), or per panel by frame
+    const syncMode = () => syncSelect ? syncSelect.value : 'round';
+    const synced = () => leftPanel.sync !== null;
+    const loaded = () => panels.filter(panel => panel.player);
+    const controllers = () => synced() ? [leftPanel] : loaded();
+    const position = () => synced() ? leftPanel.position : Math.max(0, ...loaded().map(panel => panel.position));
+    const lastPosition = () => synced() ? leftPanel.lastPosition : Math.max(0, ...loaded().map(panel => panel.lastPosition));
+    const applySyncMode = () => {
+        if (syncMode() === 'round') rightPanel.setAttribute('sync-with', `#${leftPanel.id}`);
+        else rightPanel.removeAttribute('sync-with');
+    };
 
-        // Update edges
-        this.renderEdges(frame);
+    const updateSlider = () => {
+        if (!progressSlider) return;
+        progressSlider.max = lastPosition();
+        progressSlider.value = position();
+    };
 
-        // Callback
-        if (this.onFrameChange) {
-            this.onFrameChange(index, this.frames.length, frame);
+    // Slider tick marks at round boundaries (of the longest trace when unsynced):
+    // one 2px background stripe each, lined up with the 16px thumb's centre
+    const updateRoundTicks = () => {
+        if (!progressSlider) return;
+        const players = loaded().map(panel => panel.player);
+        const longest = players.reduce((a, b) => (b.frames.length > a.frames.length ? b : a), players[0]);
+        const starts = synced() ? leftPanel.sync.roundStarts() : longest ? longest.roundStarts() : [];
+        const last = lastPosition();
+        const ticks = last > 0 ? starts.filter(start => start > 0).map(start => start / last) : [];
+        progressSlider.style.backgroundImage = ticks.map(() => 'linear-gradient(var(--color-muted), var(--color-muted))').join(', ');
+        progressSlider.style.backgroundPosition = ticks.map(t => `calc(${t * 100}% + ${7 - 14 * t}px) 0`).join(', ');
+    };
+    
+    // Narrate frames in the live region; panels that change in the same tick
+    // (a step or seek) are announced together
+    const narration = document.getElementById('animation-narration');
+    const pendingNarration = new Map(); // panel -> description
+    let loading = false;
+    const narrate = (panel, player) => {
+        if (!narration || loading || !player) return;
+        if (pendingNarration.size === 0) {
+            queueMicrotask(() => {
+                narration.textContent = [...pendingNarration.keys()].sort()
+                    .map(key => pendingNarration.get(key)).join(' ');
+                pendingNarration.clear();
+            });
         }
-    }
+        pendingNarration.set(panel, `${player.algorithm.label}: ${player.describeFrame()}.`);
+    };
 
-    renderEdges(frame) {
-        // Clear existing edges
-        this.edgeGroup.innerHTML = '';
-        
-        const edges = frame.edges || [];
-        const newEdges = frame.newEdges || [];
-        const inferredEdges = frame.inferredEdges || [];
-        const propagationPaths = frame.propagationPaths || [];
-        
-        const newEdgeSet = new Set(newEdges.map(e => `${e[0]}-${e[1]}`));
-        const inferredEdgeSet = new Set(inferredEdges.map(e => `${e[0]}-${e[1]}`));
-
-        // Get active nodes (not eliminated/finalized)
-        const activeNodes = new Set();
-        for (let i = 1; i <= this.config.n; i++) {
-            const nodeData = frame.nodes[String(i)];
-            if (nodeData && nodeData.status !== 'finalized_out' && nodeData.status !== 'finalized_top') {
-                activeNodes.add(i);
-            }
-        }
+    const showPlaying = () => {
+        if (!playPauseBtn) return;
+        const playing = controllers().some(c => c.isPlaying);
+        playPauseBtn.textContent = playing ? '⏸' : '▶';
+        playPauseBtn.setAttribute('aria-label', playing ? 'Pause' : 'Play');
+    };
 
-        // For sliding window during compare phase, treat all edges as new (cyan)
-        // since there's no separate newEdges field
-        const isSlidingWindowCompare = this.config.algorithm === 'sliding_window' && 
-                                        frame.phase === 'compare' && 
-                                        newEdges.length === 0 && 
-                                        edges.length > 0;
-
-        // Draw base edges (minimal/reduced edges from transitive reduction)
-        edges.forEach(([from, to]) => {
-            const key = `${from}-${to}`;
-            // Skip if this will be drawn as new or inferred
-            if (newEdgeSet.has(key) && frame.phase === 'compare') return;
-            if (inferredEdgeSet.has(key) && frame.phase === 'closure') return;
-            
-            // Only draw between active nodes
-            if (!activeNodes.has(from) || !activeNodes.has(to)) return;
-            
-            // For sliding window compare phase, draw as new (cyan)
-            if (isSlidingWindowCompare) {
-                this.drawEdge(from, to, 'new');
-            } else {
-                this.drawEdge(from, to, 'old');
-            }
+    // Panel events - the slider follows the furthest panel
+    panels.forEach((panel, i) => {
+        panel.addEventListener('framechange', (e) => {
+            if (costCounters[i]) costCounters[i].update(e.detail.frame);
+            if (costChart) costChart.update(i, e.detail.frame);
+            updateSlider();
+            narrate(i, panel.player);
         });
+        ['play', 'pause', 'ended'].forEach(type => panel.addEventListener(type, showPlaying));
+        // Keep the link's frame and state current when playback stops on its
+        // own; after a click, the click's own record comes first
+        ['pause', 'ended'].forEach(type => panel.addEventListener(type, () => queueMicrotask(recordPosition)));
+    });
 
-        // Draw new direct comparison edges (cyan)
-        if (frame.phase === 'compare' && !isSlidingWindowCompare) {
-            newEdges.forEach(([from, to]) => {
-                this.drawEdge(from, to, 'new');
-            });
-        }
-
-        // Draw inferred edges (orange, dashed) with pulse animation during closure
-        if (frame.phase === 'closure' && inferredEdges.length > 0) {
-            // First draw propagation path highlights
-            this.drawPropagationPaths(propagationPaths, activeNodes);
-            
-            // Then draw inferred edges
-            inferredEdges.forEach(([from, to]) => {
-                if (!activeNodes.has(from) || !activeNodes.has(to)) return;
-                this.drawEdge(from, to, 'inferred');
+    // Load the panels - each runs independently at its own pace unless synced.
+    // Called again whenever the instance or an algorithm picker changes;
+    // a panel whose trace cannot be produced shows an error panel instead.
+    const loadSelected = () => {
+        controllers().forEach(c => c.pause());
+        costCounters.forEach(c => c && c.destroy());
+        costCounters = [];
+        loading = true;
+
+        const speed = speedSelect ? parseInt(speedSelect.value) : 1200;
+        const panelPlayers = panels.map((panel, i) => {
+            const algorithm = pickers[i] ? pickers[i].value : defaultAlgorithms[i];
+            let trace;
+            try {
+                trace = traceFor(algorithm);
+            } catch (e) {
+                const label = TournamentAnimationPlayer.algorithms[algorithm].label;
+                panel.clear();
+                showFigureError(panel, `${label} animation unavailable`, e);
+                return null;
+            }
+            panel.setSpeed(speed);
+            const player = panel.load(trace, {
+                layout: layoutSelect ? layoutSelect.value : 'grid',
+                noun: instance === paperInstance ? 'horse' : 'item'
             });
-        }
-    }
-
-    drawPropagationPaths(paths, activeNodes) {
-        // Draw highlighted paths showing how inference works: A→B→C implies A→C
-        paths.forEach((path, idx) => {
-            const { from, via, to } = path;
-            if (!activeNodes.has(from) || !activeNodes.has(via) || !activeNodes.has(to)) return;
-            
-            // Highlight the intermediate path with a pulse effect
-            this.drawEdge(from, via, 'pulse', idx * 50);
-            this.drawEdge(via, to, 'pulse', idx * 50 + 100);
+            costCounters[i] = new CostCounters(panel.closest('.figure-panel') || panel.parentNode, player);
+            return player;
         });
-    }
+        if (costChart) costChart.setPlayers(panelPlayers);
+        updateSlider();
+        updateRoundTicks();
 
-    drawEdge(from, to, type, animDelay = 0) {
-        const fromPos = this.getNodePosition(from);
-        const toPos = this.getNodePosition(to);
+        loading = false;
+        showPlaying();
+    };
 
-        // Calculate direction
-        const dx = toPos.x - fromPos.x;
-        const dy = toPos.y - fromPos.y;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-        if (dist < 1) return;
+    // Figure state in the URL (figure-state.js): panel algorithms, a generated
+    // instance, frame, speed and whether playback is running. Defaults are left out.
+    // Discrete changes push a history entry; seeking only replaces the current
+    // one (options as for writeFigureState), so Back doesn't replay every step.
+    const defaultSpeed = '1200';
+    const recordState = (options) => {
+        const generated = instance && instance !== paperInstance;
+        const changes = {
+            frame: position() || null,
+            speed: speedSelect && speedSelect.value !== defaultSpeed ? speedSelect.value : null,
+            state: controllers().some(c => c.isPlaying) ? 'playing' : null,
+            sync: syncMode() === 'round' ? null : syncMode()
+        };
+        pickers.forEach((picker, panel) => {
+            changes[panel === 0 ? 'left' : 'right'] =
+                picker && picker.value !== defaultAlgorithms[panel] ? picker.value : null;
+        });
+        ['n', 'k', 'm', 'seed'].forEach(key => {
+            changes[key] = generated ? instance[key] : null;
+        });
+        writeFigureState(changes, options);
+    };
+    const recordPosition = () => recordState({ push: false });
 
-        const ux = dx / dist;
-        const uy = dy / dist;
+    const applyState = (state) => {
+        pickers.forEach((picker, panel) => {
+            const algorithm = state[panel === 0 ? 'left' : 'right'];
+            if (picker) picker.value = TournamentAnimationPlayer.algorithms[algorithm] ? algorithm : defaultAlgorithms[panel];
+        });
 
-        // Start exactly at circumference
-        const x1 = fromPos.x + ux * this.nodeRadius;
-        const y1 = fromPos.y + uy * this.nodeRadius;
-        
-        // End exactly at circumference
-        const x2 = toPos.x - ux * this.nodeRadius;
-        const y2 = toPos.y - uy * this.nodeRadius;
-
-        // Subtle curve for visual clarity
-        const midX = (x1 + x2) / 2;
-        const midY = (y1 + y2) / 2;
-        const perpX = -uy;
-        const perpY = ux;
-        const curve = type === 'new' ? 8 : type === 'inferred' ? 10 : 6;
-        const ctrlX = midX + perpX * curve;
-        const ctrlY = midY + perpY * curve;
-
-        const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-        path.setAttribute('d', `M ${x1} ${y1} Q ${ctrlX} ${ctrlY} ${x2} ${y2}`);
-        
-        // Set class and marker based on type
-        if (type === 'new') {
-            path.setAttribute('class', 'edge new');
-            path.setAttribute('marker-end', `url(#arrow-new-${this.container.id})`);
-        } else if (type === 'inferred') {
-            path.setAttribute('class', 'edge inferred');
-            path.setAttribute('marker-end', `url(#arrow-inferred-${this.container.id})`);
-        } else if (type === 'pulse') {
-            path.setAttribute('class', 'edge pulse');
-            // Pulse edges highlight existing paths, no marker needed
-            if (animDelay > 0) {
-                path.style.animationDelay = `${animDelay}ms`;
+        instance = paperInstance;
+        if (traceStatus) traceStatus.textContent = '';
+        if (state.n !== undefined) {
+            const config = {};
+            ['n', 'k', 'm', 'seed'].forEach(key => {
+                config[key] = Number(state[key]);
+                if (traceInputs[key]) traceInputs[key].value = state[key];
+            });
+            try {
+                instance = createInstance(config);
+            } catch (e) {
+                if (traceStatus) traceStatus.textContent = e.message;
             }
-        } else {
-            path.setAttribute('class', 'edge old');
-            path.setAttribute('marker-end', `url(#arrow-old-${this.container.id})`);
         }
-        
-        this.edgeGroup.appendChild(path);
-    }
-
-    play() {
-        if (this.isPlaying) return;
-        this.isPlaying = true;
-        this.scheduleNextFrame();
-    }
 
-    scheduleNextFrame() {
-        if (!this.isPlaying) return;
-        if (this.currentFrame >= this.frames.length - 1) {
-            this.pause();
-            return;
+        if (speedSelect) {
+            const options = Array.from(speedSelect.options).map(o => o.value);
+            speedSelect.value = options.includes(state.speed) ? state.speed : defaultSpeed;
         }
-        
-        // Variable timing: closure/update_degrees phases get extra time
-        const currentPhase = this.frames[this.currentFrame]?.phase;
-        let delay = this.speed;
-        if (currentPhase === 'closure') {
-            delay = this.speed * 1.5; // 50% more time for inference step
-        } else if (currentPhase === 'update_degrees') {
-            delay = this.speed * 1.3; // 30% more time to see L/W changes
-        }
-        
-        this.playTimeout = setTimeout(() => {
-            this.renderFrame(this.currentFrame + 1);
-            this.scheduleNextFrame();
-        }, delay);
-    }
+        if (syncSelect) syncSelect.value = state.sync === 'frame' ? 'frame' : 'round';
+        applySyncMode();
 
-    pause() {
-        this.isPlaying = false;
-        if (this.playTimeout) {
-            clearTimeout(this.playTimeout);
-            this.playTimeout = null;
-        }
-    }
-
-    toggle() {
-        if (this.isPlaying) {
-            this.pause();
-        } else {
-            // Restart if at end
-            if (this.currentFrame >= this.frames.length - 1) {
-                this.currentFrame = 0;
-            }
-            this.play();
-        }
-        return this.isPlaying;
-    }
+        loadSelected();
+        const frame = parseInt(state.frame) || 0;
+        if (frame > 0) controllers().forEach(c => c.goToFrame(frame));
+        if (state.state === 'playing') controllers().forEach(c => c.play());
+    };
 
-    stepForward() {
-        this.pause();
-        if (this.currentFrame < this.frames.length - 1) {
-            this.renderFrame(this.currentFrame + 1);
-        }
-    }
+    const linkedState = readFigureState();
+    applyState(linkedState);
+    onFigureStateChange(applyState);
 
-    stepBackward() {
-        this.pause();
-        if (this.currentFrame > 0) {
-            this.renderFrame(this.currentFrame - 1);
+    pickers.forEach(picker => {
+        if (picker) {
+            picker.addEventListener('change', () => {
+                loadSelected();
+                recordState();
+            });
         }
-    }
-
-    goToFrame(index) {
-        this.pause();
-        this.renderFrame(Math.max(0, Math.min(index, this.frames.length - 1)));
-    }
+    });
 
-    reset() {
-        this.pause();
-        this.renderFrame(0);
+    if (layoutSelect) {
+        layoutSelect.addEventListener('change', () => {
+            panels.forEach(panel => panel.setLayout(layoutSelect.value));
+        });
     }
 
-    setSpeed(ms) {
-        this.speed = ms;
-        // Speed change takes effect on next frame automatically
+    // Switching to round sync starts from the step showing the left panel's frame
+    if (syncSelect) {
+        syncSelect.addEventListener('change', () => {
+            controllers().forEach(c => c.pause());
+            applySyncMode();
+            updateSlider();
+            updateRoundTicks();
+            showPlaying();
+            recordState();
+        });
     }
-}
-
-// Initialize animations when DOM is ready
-async function initAnimations() {
-    const blitzrankContainer = document.getElementById('blitzrank-animation');
-    const slidingWindowContainer = document.getElementById('sliding-window-animation');
-    
-    if (!blitzrankContainer || !slidingWindowContainer) return;
-
-    // Shared controls
-    const playPauseBtn = document.getElementById('play-pause-btn');
-    const stepBackBtn = document.getElementById('step-back-btn');
-    const stepForwardBtn = document.getElementById('step-forward-btn');
-    const progressSlider = document.getElementById('progress-slider');
-    const speedSelect = document.getElementById('speed-select');
-    const resetBtn = document.getElementById('reset-btn');
-
-    // Load data
-    const [blitzrankData, slidingWindowData] = await Promise.all([
-        fetch('gif/blitzrank.json').then(r => r.json()),
-        fetch('gif/sliding_window.json').then(r => r.json())
-    ]);
-
-    // Track frame positions for both players
-    const framePositions = { blitzrank: 0, slidingWindow: 0 };
-    const maxFrames = Math.max(blitzrankData.frames.length, slidingWindowData.frames.length) - 1;
-    
-    // Frame change callback - only update slider with max of both positions
-    const createUpdateCallback = (key) => (index) => {
-        framePositions[key] = index;
-        if (progressSlider) {
-            progressSlider.max = maxFrames;
-            progressSlider.value = Math.max(framePositions.blitzrank, framePositions.slidingWindow);
-        }
-    };
-
-    // Create players - each runs independently at its own pace
-    const blitzrankPlayer = new TournamentAnimationPlayer(blitzrankContainer, blitzrankData, {
-        speed: 1200,
-        onFrameChange: createUpdateCallback('blitzrank')
-    });
-    
-    const slidingWindowPlayer = new TournamentAnimationPlayer(slidingWindowContainer, slidingWindowData, {
-        speed: 1200,
-        onFrameChange: createUpdateCallback('slidingWindow')
-    });
-
-    const players = [blitzrankPlayer, slidingWindowPlayer];
 
     if (playPauseBtn) {
         playPauseBtn.addEventListener('click', () => {
-            const wasPlaying = blitzrankPlayer.isPlaying;
-            players.forEach(p => wasPlaying ? p.pause() : p.play());
-            playPauseBtn.textContent = wasPlaying ? '▶' : '⏸';
-            playPauseBtn.setAttribute('aria-label', wasPlaying ? 'Play' : 'Pause');
+            const wasPlaying = controllers().some(c => c.isPlaying);
+            controllers().forEach(c => wasPlaying ? c.pause() : c.play());
+            recordState();
         });
     }
 
     if (stepBackBtn) {
         stepBackBtn.addEventListener('click', () => {
-            players.forEach(p => p.stepBackward());
-            if (playPauseBtn) playPauseBtn.textContent = '▶';
+            controllers().forEach(c => c.stepBackward());
+            recordPosition();
         });
     }
 
     if (stepForwardBtn) {
         stepForwardBtn.addEventListener('click', () => {
-            players.forEach(p => p.stepForward());
-            if (playPauseBtn) playPauseBtn.textContent = '▶';
+            controllers().forEach(c => c.stepForward());
+            recordPosition();
+        });
+    }
+
+    if (roundBackBtn) {
+        roundBackBtn.addEventListener('click', () => {
+            controllers().forEach(c => c.stepRound(-1));
+            recordPosition();
+        });
+    }
+
+    if (roundForwardBtn) {
+        roundForwardBtn.addEventListener('click', () => {
+            controllers().forEach(c => c.stepRound(1));
+            recordPosition();
         });
     }
 
     if (progressSlider) {
         progressSlider.addEventListener('input', (e) => {
             const frame = parseInt(e.target.value);
-            players.forEach(p => p.goToFrame(frame));
-            if (playPauseBtn) playPauseBtn.textContent = '▶';
+            controllers().forEach(c => c.goToFrame(frame));
         });
+        // Record once the thumb is released rather than for every step of a drag
+        progressSlider.addEventListener('change', recordPosition);
     }
 
     if (speedSelect) {
         speedSelect.addEventListener('change', (e) => {
             const speed = parseInt(e.target.value);
-            players.forEach(p => p.setSpeed(speed));
+            panels.forEach(panel => panel.setSpeed(speed));
+            recordState();
         });
     }
 
     if (resetBtn) {
         resetBtn.addEventListener('click', () => {
-            players.forEach(p => p.reset());
-            if (playPauseBtn) playPauseBtn.textContent = '▶';
+            controllers().forEach(c => c.reset());
+            recordPosition();
+        });
+    }
+
+    if (generateBtn) {
+        generateBtn.addEventListener('click', () => {
+            const config = {};
+            Object.entries(traceInputs).forEach(([key, input]) => {
+                config[key] = input ? Number(input.value) : NaN;
+            });
+            try {
+                instance = createInstance(config);
+            } catch (e) {
+                if (traceStatus) traceStatus.textContent = e.message;
+                return;
+            }
+            if (traceStatus) traceStatus.textContent = '';
+            loadSelected();
+            recordState();
+        });
+    }
+
+    if (exportBtn) {
+        exportBtn.addEventListener('click', async () => {
+            const players = loaded().map(panel => panel.player);
+            if (players.length === 0) return;
+            exportBtn.disabled = true;
+            exportStatus.classList.remove('error');
+            try {
+                await exportAnimation(players, {
+                    format: exportFormat.value,
+                    frames: exportFrames.value,
+                    onProgress: (done, total) => {
+                        exportStatus.textContent = `Rendering ${done}/${total}…`;
+                    }
+                });
+                exportStatus.textContent = '';
+            } catch (e) {
+                exportStatus.classList.add('error');
+                exportStatus.textContent = e.message;
+            } finally {
+                exportBtn.disabled = false;
+            }
         });
     }
 
-    // Auto-play when visualization comes into view
-    let hasAutoPlayed = false;
+    // Keyboard: ←/→ step a phase (with Shift, a round), Space plays/pauses,
+    // Home/End jump to the first/last frame. Keys typed into the figure's own
+    // form controls keep their usual meaning.
+    const figure = leftPanel.closest('figure');
+    if (figure) {
+        figure.addEventListener('keydown', (e) => {
+            // Keys pressed on a node or zoom button inside a panel come from its shadow root
+            const target = e.composedPath()[0];
+            if (e.altKey || e.ctrlKey || e.metaKey || target.closest('input, select, textarea')) return;
+            if (target.closest('button, [role="button"]') && (e.key === ' ' || e.key === 'Enter')) return;
+            const actions = {
+                ArrowLeft: () => {
+                    const button = e.shiftKey ? roundBackBtn : stepBackBtn;
+                    if (button) button.click();
+                },
+                ArrowRight: () => {
+                    const button = e.shiftKey ? roundForwardBtn : stepForwardBtn;
+                    if (button) button.click();
+                },
+                ' ': () => playPauseBtn && playPauseBtn.click(),
+                Home: () => resetBtn && resetBtn.click(),
+                End: () => {
+                    controllers().forEach(c => c.goToFrame(lastPosition()));
+                    recordPosition();
+                }
+            };
+            if (!actions[e.key]) return;
+            e.preventDefault();
+            actions[e.key]();
+        });
+    }
+
+    // Auto-play when visualization comes into view, unless a link pinned the
+    // view or the user prefers reduced motion
+    let hasAutoPlayed = linkedState.frame !== undefined || linkedState.state === 'playing' || reducedMotion.matches;
     const visualizationSection = document.getElementById('visualization');
     
     if (visualizationSection) {
@@ -584,11 +475,7 @@ async function initAnimations() {
                 if (entry.isIntersecting && !hasAutoPlayed) {
                     // Start playing when section becomes visible
                     hasAutoPlayed = true;
-                    players.forEach(p => p.play());
-                    if (playPauseBtn) {
-                        playPauseBtn.textContent = '⏸';
-                        playPauseBtn.setAttribute('aria-label', 'Pause');
-                    }
+                    controllers().forEach(c => c.play());
                 }
             });
         }, {
@@ -0,0 +1,459 @@
+/**
+ * <blitzrank-player> - a trace player (player.js) packaged as a custom element
+ * with its own shadow-DOM controls:
+ *
+ *   <blitzrank-player src="gif/blitzrank.json" autoplay speed="600" sync-with="#other">
+ *
+ * Attributes: src (trace JSON), autoplay, speed (ms per frame), layout,
+ * edge-view ('all' | 'direct' | 'hasse'), renderer ('auto' | 'svg' | 'canvas'),
+ * noun, no-controls, sync-with (a selector for another player to keep on the
+ * same round), and audit. A player takes part in one link at a time; while
+ * linked, both drive a shared RoundSync and positions are timeline steps
+ * rather than frame indices.
+ *
+ * Audit mode (the audit attribute, ?audit in the page URL, or setAudit(true))
+ * checks every frame with auditTrace (trace-audit.js), flags the offending
+ * nodes and edges on the stage and lists the violations below the controls.
+ *
+ * Events (bubbling, composed): framechange { frame, frameCount, phase,
+ * roundLabel, position }, phasechange { phase, previousPhase, frame }, and
+ * play, pause and ended.
+ */
+
+import { validateTrace, loadValidated, showFigureError, clearFigureError } from './data-schema.js';
+import { TournamentAnimationPlayer, RoundSync, reducedMotion } from './player.js';
+import { auditTrace } from './trace-audit.js';
+import { readFigureState } from './figure-state.js';
+
+const SPEEDS = { 1200: '1×', 600: '2×', 300: '4×' };
+
+export class BlitzRankPlayerElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['src', 'speed', 'layout', 'edge-view', 'no-controls', 'sync-with', 'audit'];
+    }
+
+    constructor() {
+        super();
+        this.player = null;
+        this.sync = null;     // RoundSync shared with syncPeer
+        this.syncPeer = null;
+        this.phase = null;    // phase of the frame shown, for phasechange
+        this.source = null;   // src being loaded or shown
+        this.speed = 1200;    // ms per frame until a speed attribute says otherwise
+        this.edgeView = this.getAttribute('edge-view') || 'all';
+        this.violations = null; // auditTrace result while auditing
+
+        this.attachShadow({ mode: 'open' });
+        const stylesheet = document.createElement('link');
+        stylesheet.rel = 'stylesheet';
+        stylesheet.href = new URL('player.css', import.meta.url).href;
+        this.wrapper = document.createElement('div');
+        this.wrapper.className = 'animation-wrapper';
+        this.wrapper.setAttribute('part', 'stage');
+        this.wrapper.hidden = true;
+        // Arrow marker ids are built from the container id; the shadow root scopes them
+        this.stage = document.createElement('div');
+        this.stage.id = 'stage';
+        this.wrapper.appendChild(this.stage);
+        this.controls = this.createControls();
+        this.showSpeed(this.speed);
+        this.auditReport = document.createElement('div');
+        this.auditReport.className = 'audit-report';
+        this.auditReport.setAttribute('part', 'audit');
+        this.auditReport.setAttribute('aria-live', 'polite');
+        this.auditReport.hidden = true;
+        // Light-DOM children, e.g. error panels, show below the player
+        this.shadowRoot.append(stylesheet, this.wrapper, this.controls, this.auditReport, document.createElement('slot'));
+    }
+
+    createControls() {
+        const controls = document.createElement('div');
+        controls.className = 'player-controls';
+        controls.setAttribute('part', 'controls');
+        controls.hidden = true;
+        const button = (text, label, action) => {
+            const el = document.createElement('button');
+            el.type = 'button';
+            el.textContent = text;
+            el.setAttribute('aria-label', label);
+            el.addEventListener('click', action);
+            return el;
+        };
+
+        this.playButton = button('▶', 'Play', () => this.toggle());
+        this.slider = document.createElement('input');
+        this.slider.type = 'range';
+        this.slider.min = '0';
+        this.slider.setAttribute('aria-label', 'Animation progress');
+        this.slider.addEventListener('input', () => this.goToFrame(Number(this.slider.value)));
+        this.speedSelect = document.createElement('select');
+        this.speedSelect.setAttribute('aria-label', 'Playback speed');
+        Object.entries(SPEEDS).sort((a, b) => b[0] - a[0]).forEach(([ms, label]) => {
+            this.speedSelect.appendChild(new Option(label, ms));
+        });
+        this.speedSelect.addEventListener('change', () => this.setSpeed(Number(this.speedSelect.value)));
+        this.edgeViewSelect = document.createElement('select');
+        this.edgeViewSelect.setAttribute('aria-label', 'Edges shown');
+        Object.entries(TournamentAnimationPlayer.edgeViews).forEach(([name, spec]) => {
+            this.edgeViewSelect.appendChild(new Option(spec.label, name));
+        });
+        this.edgeViewSelect.value = this.edgeView;
+        this.edgeViewSelect.addEventListener('change', () => this.setEdgeView(this.edgeViewSelect.value));
+
+        controls.append(
+            button('⏪', 'Previous round', () => this.stepRound(-1)),
+            button('⏮', 'Previous phase', () => this.stepBackward()),
+            this.playButton,
+            button('⏭', 'Next phase', () => this.stepForward()),
+            button('⏩', 'Next round', () => this.stepRound(1)),
+            this.slider,
+            this.speedSelect,
+            this.edgeViewSelect,
+            button('⟲', 'Reset', () => this.reset())
+        );
+        return controls;
+    }
+
+    connectedCallback() {
+        const src = this.getAttribute('src');
+        if (src && src !== this.source) this.loadSrc(src);
+        this.linkSync();
+    }
+
+    disconnectedCallback() {
+        this.unlinkSync();
+        this.pause();
+    }
+
+    attributeChangedCallback(name, oldValue, value) {
+        if (oldValue === value) return;
+        if (name === 'src') {
+            if (value && this.isConnected) this.loadSrc(value);
+        } else if (name === 'speed') {
+            if (Number(value) > 0) this.setSpeed(Number(value));
+        } else if (name === 'layout') {
+            if (value) this.setLayout(value);
+        } else if (name === 'edge-view') {
+            this.setEdgeView(value || 'all');
+        } else if (name === 'no-controls') {
+            this.updateControls();
+        } else if (name === 'sync-with') {
+            if (value) this.linkSync();
+            else this.unlinkSync();
+        } else if (name === 'audit') {
+            this.setAudit(this.auditing);
+        }
+    }
+
+    // Fetch and show a trace; a file that is missing or fails validation is
+    // reported in the element instead
+    async loadSrc(src) {
+        this.source = src;
+        let trace;
+        try {
+            trace = await loadValidated(src, data => validateTrace(data, TournamentAnimationPlayer.algorithms));
+        } catch (e) {
+            if (this.source !== src) return;
+            this.clear();
+            showFigureError(this, 'Animation unavailable', e);
+            return;
+        }
+        if (this.source !== src) return; // a newer src took over
+        this.load(trace);
+        if (this.hasAttribute('autoplay') && !reducedMotion.matches) this.play();
+    }
+
+    // Show a validated trace. Options go to the player, e.g. { labels, noun }.
+    load(trace, options = {}) {
+        this.clear();
+        this.phase = trace.frames[0].phase;
+        this.player = new TournamentAnimationPlayer(this.stage, trace, {
+            speed: this.speed,
+            layout: this.getAttribute('layout') || 'grid',
+            edgeView: this.edgeView,
+            renderer: this.getAttribute('renderer') || 'auto',
+            noun: this.getAttribute('noun') || 'item',
+            ...options,
+            onFrameChange: (index, count, frame) => this.frameChanged(index, count, frame),
+            onPlaybackChange: state => this.playbackChanged(state)
+        });
+        this.wrapper.hidden = false;
+        this.relinkSyncs();
+        this.updateControls();
+        if (this.auditing) this.setAudit(true);
+        return this.player;
+    }
+
+    // Swap in a longer version of the trace shown, e.g. as a streamed trace grows
+    setFrames(frames) {
+        if (!this.player) return;
+        this.player.setFrames(frames);
+        if (this.sync) this.relinkSyncs();
+        this.updateControls();
+        if (this.violations) this.setAudit(true);
+    }
+
+    // Remove the trace (and any error panel) and leave the element empty
+    clear() {
+        this.unlinkSync();
+        if (this.player) this.player.destroy();
+        this.player = null;
+        this.phase = null;
+        this.violations = null;
+        clearFigureError(this);
+        this.wrapper.hidden = true;
+        this.updateControls();
+        this.showAudit();
+    }
+
+    // Audit mode comes from the attribute or, for every player on the page, ?audit
+    get auditing() {
+        return this.hasAttribute('audit') || 'audit' in readFigureState();
+    }
+
+    // Check the trace shown and flag what it violates; returns the violations
+    // found, or null when turning audit mode off
+    setAudit(enabled) {
+        this.violations = enabled && this.player
+            ? auditTrace(this.player.data, TournamentAnimationPlayer.algorithms)
+            : null;
+        if (this.player) this.player.setAudit(this.violations);
+        this.showAudit();
+        return this.violations;
+    }
+
+    // Position showing a frame: the frame itself, or its step while linked
+    frameStep(frame) {
+        if (!this.sync) return frame;
+        const i = this.sync.players.indexOf(this.player);
+        return Math.max(0, this.sync.steps.findIndex(step => step.frames[i] === frame));
+    }
+
+    // Summary, the current frame's violations, and a button for each flagged frame
+    showAudit() {
+        const report = this.auditReport;
+        report.hidden = !this.violations;
+        if (!this.violations) {
+            report.replaceChildren();
+            return;
+        }
+        const frames = [...new Set(this.violations.map(v => v.frame))];
+        const count = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+        const summary = document.createElement('p');
+        summary.textContent = this.violations.length === 0
+            ? `Audit: all ${count(this.player.frames.length, 'frame')} consistent.`
+            : `Audit: ${count(this.violations.length, 'violation')} in ${count(frames.length, 'frame')}.`;
+        report.classList.toggle('failed', this.violations.length > 0);
+        report.replaceChildren(summary);
+        if (this.violations.length === 0) return;
+
+        const current = this.player.currentFrame;
+        const here = this.violations.filter(v => v.frame === current);
+        if (here.length > 0) {
+            const list = document.createElement('ul');
+            here.forEach(v => {
+                const item = document.createElement('li');
+                const rule = document.createElement('code');
+                rule.textContent = v.rule;
+                item.append(rule, ` ${v.message}`);
+                list.appendChild(item);
+            });
+            report.appendChild(list);
+        }
+        const jumps = document.createElement('div');
+        jumps.className = 'audit-frames';
+        frames.forEach(frame => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = `Frame ${frame + 1}`;
+            button.setAttribute('aria-current', String(frame === current));
+            button.addEventListener('click', () => this.goToFrame(this.frameStep(frame)));
+            jumps.appendChild(button);
+        });
+        report.appendChild(jumps);
+    }
+
+    // What playback goes through: the RoundSync shared with a linked player, or the player
+    get controller() {
+        return this.sync || this.player;
+    }
+
+    get position() {
+        if (this.sync) return this.sync.current;
+        return this.player ? this.player.currentFrame : 0;
+    }
+
+    get lastPosition() {
+        if (this.sync) return this.sync.lastStep;
+        return this.player ? this.player.frames.length - 1 : 0;
+    }
+
+    get isPlaying() {
+        return Boolean(this.controller && this.controller.isPlaying);
+    }
+
+    play() {
+        if (this.controller) this.controller.play();
+    }
+
+    pause() {
+        if (this.controller) this.controller.pause();
+    }
+
+    toggle() {
+        if (this.isPlaying) {
+            this.pause();
+        } else {
+            // Restart if at end
+            if (this.position >= this.lastPosition) this.goToFrame(0);
+            this.play();
+        }
+        return this.isPlaying;
+    }
+
+    stepForward() {
+        if (this.controller) this.controller.stepForward();
+    }
+
+    stepBackward() {
+        if (this.controller) this.controller.stepBackward();
+    }
+
+    // Next round (direction 1) or back to the start of this or the previous one (-1)
+    stepRound(direction) {
+        if (this.controller) this.controller.stepRound(direction);
+    }
+
+    goToFrame(index) {
+        if (this.controller) this.controller.goToFrame(index);
+    }
+
+    reset() {
+        if (this.controller) this.controller.reset();
+    }
+
+    // Milliseconds per frame; a linked player follows
+    setSpeed(ms) {
+        this.speed = ms;
+        if (this.sync) this.sync.setSpeed(ms);
+        else if (this.player) this.player.setSpeed(ms);
+        [this, this.syncPeer].forEach(el => {
+            if (el) el.showSpeed(ms);
+        });
+    }
+
+    showSpeed(ms) {
+        this.speed = ms;
+        if (!SPEEDS[ms] && ![...this.speedSelect.options].some(option => Number(option.value) === ms)) {
+            this.speedSelect.appendChild(new Option(`${ms} ms`, ms));
+        }
+        this.speedSelect.value = String(ms);
+    }
+
+    setLayout(name) {
+        if (this.player) this.player.setLayout(name);
+    }
+
+    // All edges, direct comparisons only, or the Hasse diagram; kept across loads
+    setEdgeView(name) {
+        if (!TournamentAnimationPlayer.edgeViews[name]) return;
+        this.edgeView = name;
+        this.edgeViewSelect.value = name;
+        if (this.player) this.player.setEdgeView(name);
+    }
+
+    // The player named by sync-with, once it is in the same document
+    syncTarget() {
+        const selector = this.getAttribute('sync-with');
+        if (!selector || !this.isConnected) return null;
+        let target;
+        try {
+            target = this.getRootNode().querySelector(selector);
+        } catch (e) {
+            console.warn(`blitzrank-player: invalid sync-with selector "${selector}"`);
+            return null;
+        }
+        return target instanceof BlitzRankPlayerElement && target !== this ? target : null;
+    }
+
+    // Link to the sync-with player, starting from the step showing its frame
+    linkSync() {
+        const peer = this.syncTarget();
+        this.unlinkSync();
+        if (!peer || !peer.player || !this.player) return;
+        peer.unlinkSync();
+
+        const frame = peer.player.currentFrame;
+        peer.player.pause();
+        this.player.pause();
+        const sync = new RoundSync([peer.player, this.player]);
+        sync.onPlaybackChange = state => [peer, this].forEach(el => el.playbackChanged(state));
+        [peer, this].forEach(el => {
+            el.sync = sync;
+            el.syncPeer = el === this ? peer : this;
+        });
+        sync.setSpeed(peer.speed);
+        this.showSpeed(peer.speed);
+        sync.goToFrame(Math.max(0, sync.steps.findIndex(step => step.frames[0] === frame)));
+        [peer, this].forEach(el => el.updateControls());
+    }
+
+    unlinkSync() {
+        if (!this.sync) return;
+        this.sync.pause();
+        [this, this.syncPeer].forEach(el => {
+            if (!el) return;
+            el.sync = null;
+            el.syncPeer = null;
+            el.updateControls();
+        });
+    }
+
+    // After a trace change: rebuild this player's link and those of players synced with it
+    relinkSyncs() {
+        this.linkSync();
+        if (!this.isConnected) return;
+        this.getRootNode().querySelectorAll('blitzrank-player[sync-with]').forEach(el => {
+            if (el !== this && el.syncTarget() === this) el.linkSync();
+        });
+    }
+
+    frameChanged(index, count, frame) {
+        this.updateControls();
+        if (this.violations) this.showAudit();
+        this.emit('framechange', {
+            frame: index,
+            frameCount: count,
+            phase: frame.phase,
+            roundLabel: frame.roundLabel,
+            position: this.position
+        });
+        if (frame.phase !== this.phase) {
+            const previousPhase = this.phase;
+            this.phase = frame.phase;
+            this.emit('phasechange', { phase: frame.phase, previousPhase, frame: index });
+        }
+    }
+
+    playbackChanged(state) {
+        this.updateControls();
+        this.emit(state);
+    }
+
+    updateControls() {
+        this.controls.hidden = this.hasAttribute('no-controls') || !this.player;
+        const playing = this.isPlaying;
+        this.playButton.textContent = playing ? '⏸' : '▶';
+        this.playButton.setAttribute('aria-label', playing ? 'Pause' : 'Play');
+        this.slider.max = String(this.lastPosition);
+        this.slider.value = String(this.position);
+    }
+
+    emit(type, detail = null) {
+        this.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true }));
+    }
+}
+
+if (!customElements.get('blitzrank-player')) {
+    customElements.define('blitzrank-player', BlitzRankPlayerElement);
+}
@@ -0,0 +1,190 @@
+/**
+ * Citation - the paper's reference as one record, rendered in each format the
+ * citation section offers: BibTeX, APA, MLA, Chicago, RIS and CSL-JSON.
+ * BibTeX and RIS can also be downloaded as files for reference managers.
+ */
+
+import { downloadBlob } from './download.js';
+
+export const CITATION = {
+    key: 'blitzrank2026',
+    title: 'BlitzRank: Principled Zero-shot Ranking Agents with Tournament Graphs',
+    authors: [
+        { given: 'Sheshansh', family: 'Agrawal' },
+        { given: 'Thien Hang', family: 'Nguyen' },
+        { given: 'Douwe', family: 'Kiela' }
+    ],
+    year: 2026,
+    arxiv: '2602.05448',
+    url: 'https://arxiv.org/abs/2602.05448'
+};
+
+const initials = given => given.split(/\s+/).map(name => `${name[0]}.`).join(' ');
+const inverted = author => `${author.family}, ${author.given}`;
+const natural = author => `${author.given} ${author.family}`;
+
+// "a, b, and c" with an optional final conjunction (APA uses "&")
+function joinNames(names, conjunction = 'and') {
+    if (names.length <= 1) return names.join('');
+    if (names.length === 2) return `${names[0]}, ${conjunction} ${names[1]}`;
+    return `${names.slice(0, -1).join(', ')}, ${conjunction} ${names[names.length - 1]}`;
+}
+
+// APA sentence case: only the first word and the word after a colon keep their
+// capital; words with inner capitals (BlitzRank) are taken as proper nouns
+function sentenceCase(title) {
+    return title.split(' ').map((word, i, words) => {
+        const first = i === 0 || words[i - 1].endsWith(':');
+        return first || /[A-Z]/.test(word.slice(1)) ? word : word.toLowerCase();
+    }).join(' ');
+}
+
+/**
+ * Citation formats: label, render(record) -> text, and for downloadable ones
+ * the file extension and MIME type.
+ */
+export const CITATION_FORMATS = {
+    bibtex: {
+        label: 'BibTeX',
+        extension: 'bib',
+        type: 'application/x-bibtex',
+        render: c => [
+            `@article{${c.key},`,
+            `  title={${c.title}},`,
+            `  author={${c.authors.map(inverted).join(' and ')}},`,
+            `  journal={arXiv preprint arXiv:${c.arxiv}},`,
+            `  year={${c.year}}`,
+            '}'
+        ].join('\n')
+    },
+    apa: {
+        label: 'APA',
+        render: c => {
+            const authors = joinNames(c.authors.map(a => `${a.family}, ${initials(a.given)}`), '&');
+            return `${authors} (${c.year}). ${sentenceCase(c.title)} (arXiv:${c.arxiv}). arXiv. ${c.url}`;
+        }
+    },
+    mla: {
+        label: 'MLA',
+        render: c => {
+            const authors = c.authors.length > 2 ? `${inverted(c.authors[0])}, et al`
+                : joinNames([inverted(c.authors[0]), ...c.authors.slice(1).map(natural)]);
+            return `${authors}. "${c.title}." arXiv, ${c.year}, ${c.url.replace(/^https?:\/\//, '')}.`;
+        }
+    },
+    chicago: {
+        label: 'Chicago',
+        render: c => {
+            const authors = joinNames([inverted(c.authors[0]), ...c.authors.slice(1).map(natural)]);
+            return `${authors}. "${c.title}." arXiv preprint arXiv:${c.arxiv}, ${c.year}. ${c.url}.`;
+        }
+    },
+    ris: {
+        label: 'RIS',
+        extension: 'ris',
+        type: 'application/x-research-info-systems',
+        render: c => [
+            'TY  - JOUR',
+            ...c.authors.map(a => `AU  - ${inverted(a)}`),
+            `TI  - ${c.title}`,
+            `JO  - arXiv preprint arXiv:${c.arxiv}`,
+            `PY  - ${c.year}`,
+            `UR  - ${c.url}`,
+            'ER  - '
+        ].join('\n')
+    },
+    csl: {
+        label: 'CSL-JSON',
+        render: c => JSON.stringify([{
+            id: c.key,
+            type: 'article',
+            title: c.title,
+            author: c.authors.map(({ family, given }) => ({ family, given })),
+            issued: { 'date-parts': [[c.year]] },
+            publisher: 'arXiv',
+            number: `arXiv:${c.arxiv}`,
+            URL: c.url
+        }], null, 2)
+    }
+};
+
+export function formatCitation(format, record = CITATION) {
+    return CITATION_FORMATS[format].render(record);
+}
+
+// The page ships the BibTeX block; it becomes the template for one tab panel
+// per format, each keeping its copy button (copyCode in index.html)
+function initCitation() {
+    const section = document.getElementById('citation');
+    const template = section && section.querySelector('.citation-block');
+    if (!template) return;
+
+    const tabList = document.createElement('div');
+    tabList.className = 'citation-tabs';
+    tabList.setAttribute('role', 'tablist');
+    tabList.setAttribute('aria-label', 'Citation format');
+
+    const blank = template.cloneNode(true);
+    const panels = {};
+    const tabs = {};
+    Object.entries(CITATION_FORMATS).forEach(([format, spec]) => {
+        const panel = format === 'bibtex' ? template : blank.cloneNode(true);
+        panel.id = `citation-${format}`;
+        panel.setAttribute('role', 'tabpanel');
+        const code = panel.querySelector('code');
+        if (panel !== template) code.removeAttribute('id');
+        code.textContent = formatCitation(format);
+        panel.querySelector('.copy-btn').setAttribute('aria-label', `Copy ${spec.label}`);
+        if (spec.extension) {
+            const download = document.createElement('button');
+            download.type = 'button';
+            download.className = 'citation-download';
+            download.textContent = `Download .${spec.extension}`;
+            download.addEventListener('click', () => {
+                downloadBlob(new Blob([`${formatCitation(format)}\n`], { type: spec.type }), `${CITATION.key}.${spec.extension}`);
+            });
+            panel.appendChild(download);
+        }
+        panels[format] = panel;
+
+        const tab = document.createElement('button');
+        tab.type = 'button';
+        tab.className = 'citation-tab';
+        tab.id = `citation-tab-${format}`;
+        tab.setAttribute('role', 'tab');
+        tab.setAttribute('aria-controls', panel.id);
+        tab.textContent = spec.label;
+        tab.addEventListener('click', () => select(format));
+        panel.setAttribute('aria-labelledby', tab.id);
+        tabs[format] = tab;
+        tabList.appendChild(tab);
+    });
+
+    function select(format) {
+        Object.entries(panels).forEach(([name, panel]) => {
+            const active = name === format;
+            panel.hidden = !active;
+            tabs[name].classList.toggle('active', active);
+            tabs[name].setAttribute('aria-selected', String(active));
+            tabs[name].tabIndex = active ? 0 : -1;
+        });
+    }
+
+    // Left/Right move between formats
+    tabList.addEventListener('keydown', (e) => {
+        if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+        const formats = Object.keys(tabs);
+        const current = formats.findIndex(name => tabs[name] === document.activeElement);
+        if (current < 0) return;
+        e.preventDefault();
+        const next = formats[(current + (e.key === 'ArrowRight' ? 1 : formats.length - 1)) % formats.length];
+        select(next);
+        tabs[next].focus();
+    });
+
+    template.before(tabList);
+    template.after(...Object.keys(panels).filter(name => name !== 'bibtex').map(name => panels[name]));
+    select('bibtex');
+}
+
+document.addEventListener('DOMContentLoaded', initCitation);
@@ -0,0 +1,188 @@
+/**
+ * Cost Meter - running oracle-cost tallies for Figure 2: counters beside each
+ * panel and a per-round line chart under both, kept in step with playback
+ */
+
+import { SVG_NS } from './renderers.js';
+
+const COST_METRICS = {
+    calls: 'Oracle calls',
+    items: 'Items sent',
+    direct: 'Direct edges',
+    inferred: 'Inferred edges',
+    finalized: 'Finalized'
+};
+
+/**
+ * Cumulative costs after each frame of a player's trace, as
+ * [{ round, calls, items, direct, inferred, finalized }]. A compare frame makes
+ * one oracle call per query group (or one for a sliding window); its direct
+ * edges are `newEdges` for cumulative traces and `edges` otherwise.
+ */
+function costSeries(player) {
+    const totals = { calls: 0, items: 0, direct: 0, inferred: 0 };
+    return player.frames.map((frame, index) => {
+        if (frame.phase === 'compare') {
+            const groups = (frame.queryGroups || []).length > 0 ? frame.queryGroups
+                : (frame.window || []).length > 0 ? [frame.window] : [];
+            totals.calls += groups.length;
+            totals.items += groups.reduce((sum, group) => sum + group.length, 0);
+            const direct = player.algorithm.edgeMode === 'cumulative' ? frame.newEdges : frame.edges;
+            totals.direct += (direct || []).length;
+        }
+        totals.inferred += (frame.inferredEdges || []).length;
+        const finalized = Object.values(frame.nodes)
+            .filter(node => String(node.status).startsWith('finalized')).length;
+        return { round: player.rounds[index], ...totals, finalized };
+    });
+}
+
+// Counters shown under one panel's animation
+export class CostCounters {
+    constructor(container, player) {
+        this.player = player;
+        this.series = costSeries(player);
+
+        this.element = document.createElement('dl');
+        this.element.className = 'cost-counters';
+        this.element.setAttribute('aria-label', `${player.algorithm.label} oracle cost so far`);
+        this.values = {};
+        Object.entries(COST_METRICS).forEach(([key, label]) => {
+            const item = document.createElement('div');
+            item.className = `cost-counter cost-${key}`;
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const value = document.createElement('dd');
+            item.append(term, value);
+            this.element.appendChild(item);
+            this.values[key] = value;
+        });
+        container.appendChild(this.element);
+        this.update(player.currentFrame);
+    }
+
+    update(index) {
+        const costs = this.series[index];
+        Object.entries(this.values).forEach(([key, value]) => {
+            value.textContent = key === 'finalized' ? `${costs.finalized}/${this.player.config.n}` : costs[key];
+        });
+    }
+
+    destroy() {
+        this.element.remove();
+    }
+}
+
+// Line chart of one cost metric against round number, one line per panel,
+// drawn up to each panel's current frame on axes that fit the whole traces
+export class CostChart {
+    constructor(container, metricSelect) {
+        this.container = container;
+        this.metricSelect = metricSelect;
+        this.metric = metricSelect ? metricSelect.value || 'calls' : 'calls';
+        this.panels = [];       // panel -> { label, series, index }
+        this.width = 600;
+        this.height = 200;
+        this.margin = { top: 12, right: 16, bottom: 34, left: 44 };
+
+        if (metricSelect) {
+            Object.entries(COST_METRICS).forEach(([key, label]) => {
+                const option = document.createElement('option');
+                option.value = key;
+                option.textContent = label;
+                metricSelect.appendChild(option);
+            });
+            metricSelect.value = this.metric;
+            metricSelect.addEventListener('change', () => {
+                this.metric = metricSelect.value;
+                this.draw();
+            });
+        }
+
+        this.svg = document.createElementNS(SVG_NS, 'svg');
+        this.svg.setAttribute('class', 'cost-chart-svg');
+        this.svg.setAttribute('viewBox', `0 0 ${this.width} ${this.height}`);
+        this.svg.setAttribute('role', 'img');
+        container.appendChild(this.svg);
+        this.legend = document.createElement('div');
+        this.legend.className = 'cost-legend';
+        container.appendChild(this.legend);
+    }
+
+    // `players` is indexed by panel; a panel without a player is left out
+    setPlayers(players) {
+        this.panels = players.map(player => player && {
+            label: player.algorithm.label,
+            series: costSeries(player),
+            index: player.currentFrame
+        });
+        this.legend.replaceChildren(...this.panels.map((panel, i) => {
+            if (!panel) return document.createTextNode('');
+            const entry = document.createElement('span');
+            entry.className = `cost-legend-entry panel-${i}`;
+            entry.textContent = panel.label;
+            return entry;
+        }));
+        this.draw();
+    }
+
+    update(panel, index) {
+        if (!this.panels[panel] || this.panels[panel].index === index) return;
+        this.panels[panel].index = index;
+        this.draw();
+    }
+
+    draw() {
+        const { width, height, margin, metric } = this;
+        const panels = this.panels.filter(Boolean);
+        const last = panel => panel.series[panel.series.length - 1];
+        const maxRound = Math.max(1, ...panels.map(p => last(p).round));
+        const maxValue = Math.max(1, ...panels.map(p => Math.max(...p.series.map(c => c[metric]))));
+        const yStep = niceStep(maxValue);
+        const yMax = Math.ceil(maxValue / yStep) * yStep;
+        const plotWidth = width - margin.left - margin.right;
+        const plotHeight = height - margin.top - margin.bottom;
+        const x = round => +(margin.left + (round / maxRound) * plotWidth).toFixed(1);
+        const y = value => +(margin.top + plotHeight - (value / yMax) * plotHeight).toFixed(1);
+
+        const parts = [];
+        for (let value = 0; value <= yMax; value += yStep) {
+            parts.push(`<line class="cost-grid" x1="${margin.left}" x2="${width - margin.right}" y1="${y(value)}" y2="${y(value)}"/>`);
+            parts.push(`<text class="cost-tick" x="${margin.left - 6}" y="${y(value) + 4}" text-anchor="end">${value}</text>`);
+        }
+        const xStep = niceStep(maxRound);
+        for (let round = 0; round <= maxRound; round += xStep) {
+            parts.push(`<text class="cost-tick" x="${x(round)}" y="${height - margin.bottom + 16}" text-anchor="middle">${round}</text>`);
+        }
+        parts.push(`<line class="cost-axis" x1="${margin.left}" x2="${width - margin.right}" y1="${y(0)}" y2="${y(0)}"/>`);
+        parts.push(`<text class="cost-axis-label" x="${margin.left + plotWidth / 2}" y="${height - 4}" text-anchor="middle">Round</text>`);
+
+        const summary = [];
+        this.panels.forEach((panel, i) => {
+            if (!panel) return;
+            const shown = panel.series.slice(0, panel.index + 1);
+            const points = shown.map(c => `${x(c.round)},${y(c[metric])}`).join(' ');
+            const current = shown[shown.length - 1];
+            parts.push(`<polyline class="cost-line panel-${i}" points="${points}"/>`);
+            parts.push(`<circle class="cost-point panel-${i}" cx="${x(current.round)}" cy="${y(current[metric])}" r="3.5"/>`);
+            summary.push(`${panel.label} ${current[metric]} by round ${current.round}`);
+        });
+
+        // Markup is built from numbers only
+        this.svg.innerHTML = parts.join('');
+        this.svg.setAttribute('aria-label', `${COST_METRICS[metric]} by round: ${summary.join(', ')}`);
+    }
+
+    destroy() {
+        this.svg.remove();
+        this.legend.remove();
+    }
+}
+
+// Axis step giving about five ticks: 1, 2 or 5 times a power of ten
+export function niceStep(max) {
+    const raw = max / 5;
+    const power = Math.pow(10, Math.floor(Math.log10(Math.max(raw, 1))));
+    const step = [1, 2, 5, 10].map(f => f * power).find(s => s >= raw);
+    return Math.max(1, step);
+}
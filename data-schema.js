@@ -0,0 +1,299 @@
+/**
+ * Data Schema - versioned validation for animation traces (gif/*.json) and Pareto
+ * plot data (plots/pareto_plotly.json), plus the inline error panel shown in a
+ * figure when its data cannot be used
+ *
+ * Trace (schemaVersion 1):
+ *   { schemaVersion, config: { n, k, m, algorithm, seed? }, groundTruth?: [id],
+ *     frames: [{ phase, roundLabel, nodes: { "<id>": { id, status, inDegree?, outDegree? } },
+ *                edges, directEdges?, newEdges?, inferredEdges?, propagationPaths?,
+ *                queryGroups?, window? }] }
+ *
+ * Pareto (schemaVersion 1):
+ *   { schemaVersion, models: { "<key>": { displayName, data: [plotly scatter trace] } }, layout }
+ */
+
+export const TRACE_SCHEMA_VERSION = 1;
+const PARETO_SCHEMA_VERSION = 1;
+
+export class SchemaError extends Error {
+    constructor(source, issues) {
+        const first = issues[0];
+        super(`${source}: ${first.path ? `${first.path}: ` : ''}${first.message}`);
+        this.name = 'SchemaError';
+        this.source = source;
+        this.issues = issues;
+    }
+}
+
+// Collects { path, message } issues; stops recording after `limit` to keep
+// a badly broken file from producing thousands of entries
+export function createIssueList(limit = 50) {
+    const issues = [];
+    issues.add = (path, message) => {
+        if (issues.length < limit) issues.push({ path, message });
+        else issues.truncated = true;
+    };
+    return issues;
+}
+
+const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isCount = v => Number.isInteger(v) && v >= 0;
+
+function checkSchemaVersion(data, supported, issues) {
+    const version = data.schemaVersion === undefined ? 1 : data.schemaVersion;
+    if (!Number.isInteger(version) || version < 1 || version > supported) {
+        issues.add('schemaVersion', `unsupported version ${JSON.stringify(data.schemaVersion)} (this page reads up to ${supported})`);
+    }
+}
+
+/**
+ * Check a trace against the schema and the registered algorithm vocabulary
+ * (`algorithms` is TournamentAnimationPlayer.algorithms). Returns the issues found.
+ */
+export function validateTrace(data, algorithms) {
+    const issues = createIssueList();
+    if (!isObject(data)) {
+        issues.add('', 'expected a JSON object');
+        return issues;
+    }
+    checkSchemaVersion(data, TRACE_SCHEMA_VERSION, issues);
+
+    const config = data.config;
+    if (!isObject(config)) {
+        issues.add('config', 'missing or not an object');
+        return issues;
+    }
+    ['n', 'k', 'm'].forEach(key => {
+        if (!Number.isInteger(config[key]) || config[key] < 1) {
+            issues.add(`config.${key}`, `expected a positive integer, got ${JSON.stringify(config[key])}`);
+        }
+    });
+    const algorithm = algorithms[config.algorithm];
+    if (!algorithm) {
+        issues.add('config.algorithm', `unknown algorithm ${JSON.stringify(config.algorithm)}`);
+    }
+    if (issues.length > 0) return issues;
+
+    const n = config.n;
+    const isId = v => Number.isInteger(v) && v >= 1 && v <= n;
+    const phases = algorithm.phases(config, { loss: '', win: '' });
+
+    if (data.groundTruth !== undefined) {
+        const ranking = data.groundTruth;
+        if (!Array.isArray(ranking) || ranking.length !== n || !ranking.every(isId) || new Set(ranking).size !== n) {
+            issues.add('groundTruth', `expected a permutation of the ids 1..${n}`);
+        }
+    }
+
+    if (!Array.isArray(data.frames) || data.frames.length === 0) {
+        issues.add('frames', 'expected a non-empty array');
+        return issues;
+    }
+
+    const checkIds = (value, path) => {
+        if (!Array.isArray(value)) {
+            issues.add(path, 'expected an array of node ids');
+            return;
+        }
+        value.forEach((id, i) => {
+            if (!isId(id)) issues.add(`${path}[${i}]`, `expected a node id in 1..${n}, got ${JSON.stringify(id)}`);
+        });
+    };
+    const checkEdges = (value, path) => {
+        if (!Array.isArray(value)) {
+            issues.add(path, 'expected an array of [from, to] edges');
+            return;
+        }
+        value.forEach((edge, i) => {
+            if (!Array.isArray(edge) || edge.length !== 2 || !edge.every(isId)) {
+                issues.add(`${path}[${i}]`, `expected [from, to] node ids, got ${JSON.stringify(edge)}`);
+            }
+        });
+    };
+
+    data.frames.forEach((frame, f) => {
+        const at = `frames[${f}]`;
+        if (!isObject(frame)) {
+            issues.add(at, 'expected an object');
+            return;
+        }
+        if (!Object.prototype.hasOwnProperty.call(phases, frame.phase)) {
+            issues.add(`${at}.phase`, `unknown phase ${JSON.stringify(frame.phase)} for ${config.algorithm}`);
+        }
+        if (typeof frame.roundLabel !== 'string') {
+            issues.add(`${at}.roundLabel`, 'expected a string');
+        }
+
+        if (!isObject(frame.nodes)) {
+            issues.add(`${at}.nodes`, 'missing or not an object');
+        } else {
+            for (let id = 1; id <= n; id++) {
+                const node = frame.nodes[String(id)];
+                const path = `${at}.nodes["${id}"]`;
+                if (!isObject(node)) {
+                    issues.add(path, 'missing node');
+                    continue;
+                }
+                if (node.id !== id) issues.add(`${path}.id`, `expected ${id}, got ${JSON.stringify(node.id)}`);
+                if (!Object.prototype.hasOwnProperty.call(algorithm.statuses, node.status)) {
+                    issues.add(`${path}.status`, `unknown status ${JSON.stringify(node.status)} for ${config.algorithm}`);
+                }
+                if (algorithm.showDegrees) {
+                    ['inDegree', 'outDegree'].forEach(key => {
+                        if (!isCount(node[key])) issues.add(`${path}.${key}`, `expected a count, got ${JSON.stringify(node[key])}`);
+                    });
+                }
+            }
+        }
+
+        checkEdges(frame.edges, `${at}.edges`);
+        ['directEdges', 'newEdges', 'inferredEdges'].forEach(key => {
+            if (frame[key] !== undefined) checkEdges(frame[key], `${at}.${key}`);
+        });
+        if (frame.propagationPaths !== undefined) {
+            if (!Array.isArray(frame.propagationPaths)) {
+                issues.add(`${at}.propagationPaths`, 'expected an array');
+            } else {
+                frame.propagationPaths.forEach((p, i) => {
+                    if (!isObject(p) || !isId(p.from) || !isId(p.via) || !isId(p.to)) {
+                        issues.add(`${at}.propagationPaths[${i}]`, `expected { from, via, to } node ids, got ${JSON.stringify(p)}`);
+                    }
+                });
+            }
+        }
+        if (frame.queryGroups !== undefined) {
+            if (!Array.isArray(frame.queryGroups)) {
+                issues.add(`${at}.queryGroups`, 'expected an array of groups');
+            } else {
+                frame.queryGroups.forEach((group, i) => checkIds(group, `${at}.queryGroups[${i}]`));
+            }
+        }
+        if (frame.window !== undefined) checkIds(frame.window, `${at}.window`);
+    });
+
+    return issues;
+}
+
+// Check Pareto plot data ({ models, layout }). Returns the issues found.
+export function validateParetoData(data) {
+    const issues = createIssueList();
+    if (!isObject(data)) {
+        issues.add('', 'expected a JSON object');
+        return issues;
+    }
+    checkSchemaVersion(data, PARETO_SCHEMA_VERSION, issues);
+
+    if (!isObject(data.layout)) issues.add('layout', 'missing or not an object');
+    if (!isObject(data.models) || Object.keys(data.models).length === 0) {
+        issues.add('models', 'expected an object with at least one model');
+        return issues;
+    }
+
+    Object.entries(data.models).forEach(([key, model]) => {
+        const at = `models["${key}"]`;
+        if (!isObject(model)) {
+            issues.add(at, 'expected an object');
+            return;
+        }
+        if (typeof model.displayName !== 'string' || !model.displayName) {
+            issues.add(`${at}.displayName`, 'expected a non-empty string');
+        }
+        if (!Array.isArray(model.data)) {
+            issues.add(`${at}.data`, 'expected an array of traces');
+            return;
+        }
+        model.data.forEach((trace, t) => {
+            const path = `${at}.data[${t}]`;
+            if (!isObject(trace)) {
+                issues.add(path, 'expected an object');
+                return;
+            }
+            ['x', 'y'].forEach(axis => {
+                const values = trace[axis];
+                if (!Array.isArray(values) || !values.every(v => typeof v === 'number' && Number.isFinite(v))) {
+                    issues.add(`${path}.${axis}`, 'expected an array of numbers');
+                }
+            });
+            if (Array.isArray(trace.x) && Array.isArray(trace.y) && trace.x.length !== trace.y.length) {
+                issues.add(`${path}.y`, `has ${trace.y.length} values but x has ${trace.x.length}`);
+            }
+            if (trace.customdata !== undefined &&
+                (!Array.isArray(trace.customdata) || trace.customdata.length !== (trace.x || []).length)) {
+                issues.add(`${path}.customdata`, 'expected one entry per point');
+            }
+        });
+    });
+
+    return issues;
+}
+
+// Fetch and parse a JSON file, naming the file in any error
+async function loadJSON(url) {
+    let response;
+    try {
+        response = await fetch(url);
+    } catch (e) {
+        throw new Error(`${url}: network error (${e.message})`);
+    }
+    if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+    try {
+        return await response.json();
+    } catch (e) {
+        throw new Error(`${url}: invalid JSON (${e.message})`);
+    }
+}
+
+// Fetch a file and throw a SchemaError if `validate` finds any issues
+export async function loadValidated(url, validate) {
+    const data = await loadJSON(url);
+    const issues = validate(data);
+    if (issues.length > 0) throw new SchemaError(url, issues);
+    return data;
+}
+
+// Replace a figure area's contents with an error panel describing `error`
+export function showFigureError(container, title, error) {
+    clearFigureError(container);
+
+    const panel = document.createElement('div');
+    panel.className = 'figure-error';
+    panel.setAttribute('role', 'alert');
+
+    const heading = document.createElement('strong');
+    heading.textContent = title;
+    panel.appendChild(heading);
+
+    const detail = document.createElement('p');
+    detail.textContent = error instanceof SchemaError ? `${error.source} does not match the expected format:` : error.message;
+    panel.appendChild(detail);
+
+    if (error instanceof SchemaError) {
+        const list = document.createElement('ul');
+        const shown = 5;
+        error.issues.slice(0, shown).forEach(issue => {
+            const item = document.createElement('li');
+            if (issue.path) {
+                const code = document.createElement('code');
+                code.textContent = issue.path;
+                item.appendChild(code);
+                item.appendChild(document.createTextNode(': '));
+            }
+            item.appendChild(document.createTextNode(issue.message));
+            list.appendChild(item);
+        });
+        if (error.issues.length > shown) {
+            const more = document.createElement('li');
+            more.textContent = `…and ${error.issues.length - shown}${error.issues.truncated ? '+' : ''} more`;
+            list.appendChild(more);
+        }
+        panel.appendChild(list);
+    }
+
+    container.appendChild(panel);
+    return panel;
+}
+
+export function clearFigureError(container) {
+    container.querySelectorAll('.figure-error').forEach(el => el.remove());
+}
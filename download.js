@@ -0,0 +1,15 @@
+/**
+ * Download - save a Blob as a file through a temporary link; shared by the
+ * figure export, the Pareto table and price downloads and the citation files
+ */
+
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,478 @@
+/**
+ * Figure Export - render TournamentAnimationPlayer runs to standalone SVG,
+ * PNG sequences, animated GIF or WebM, with the panels side by side
+ *
+ * Frames are drawn by an offscreen SVG player for each panel (whatever the
+ * on-page renderer is), styled by the page's .tournament-svg rules. Animated
+ * formats follow each player's frameDuration(), so panels advance at their
+ * own pace just as they do on the page.
+ */
+
+import { TournamentAnimationPlayer } from './player.js';
+import { themeTokens } from './theme.js';
+import { downloadBlob } from './download.js';
+
+const EXPORT_PANEL_GAP = 24;
+const EXPORT_TITLE_HEIGHT = 28;
+
+/**
+ * Parse a frame selection like "0-10, 14" against a run of `count` frames.
+ * Blank or "all" selects the whole run (returns null).
+ */
+function parseFrameSelection(text, count) {
+    const value = text.trim().toLowerCase();
+    if (value === '' || value === 'all') return null;
+
+    const frames = new Set();
+    value.split(',').forEach(part => {
+        const match = part.trim().match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+        if (!match) throw new Error(`Invalid frame selection "${part.trim()}" (use e.g. 0-10, 14)`);
+        const start = parseInt(match[1]);
+        const end = match[2] === undefined ? start : parseInt(match[2]);
+        if (end < start) throw new Error(`Invalid frame range "${part.trim()}"`);
+        for (let i = start; i <= Math.min(end, count - 1); i++) frames.add(i);
+    });
+    if (frames.size === 0) throw new Error(`No frames selected (frames run from 0 to ${count - 1})`);
+    return [...frames].sort((a, b) => a - b);
+}
+
+// The page's player rules plus the current theme's tokens they use (resolved
+// into one :root block), with animations frozen so a still frame shows pulses
+// and inferred edges at full strength
+function exportStylesheet() {
+    const rules = [];
+    const tokens = new Set();
+    Array.from(document.styleSheets).forEach(sheet => {
+        let cssRules;
+        try {
+            cssRules = sheet.cssRules;
+        } catch (e) {
+            return; // cross-origin sheet
+        }
+        Array.from(cssRules).forEach(rule => {
+            const selector = rule.selectorText || '';
+            if (selector.startsWith(':root')) {
+                Array.from(rule.style).filter(name => name.startsWith('--')).forEach(name => tokens.add(name));
+            } else if (selector.includes('.tournament-svg')) {
+                rules.push(rule.cssText);
+            }
+        });
+    });
+    const root = getComputedStyle(document.documentElement);
+    rules.unshift(`:root { ${[...tokens].map(name => `${name}: ${root.getPropertyValue(name).trim()};`).join(' ')} }`);
+    rules.push('.tournament-svg * { animation: none !important; transition: none !important; }');
+    rules.push('.tournament-svg .edge.pulse { opacity: 0.6; }');
+    rules.push('.panel-title { font: 600 14px sans-serif; fill: var(--color-text, #333333); text-anchor: middle; }');
+    rules.push('.export-background { fill: var(--color-surface, #fafafa); }');
+    return rules.join('\n');
+}
+
+/**
+ * Offscreen copy of a player used to draw arbitrary frames as SVG
+ */
+class ExportPanel {
+    constructor(player, id) {
+        this.source = player;
+        this.host = document.createElement('div');
+        this.host.id = id;
+        this.host.style.cssText = 'position: absolute; left: -10000px; width: 800px;';
+        document.body.appendChild(this.host);
+        this.player = new TournamentAnimationPlayer(this.host, player.data, {
+            renderer: 'svg',
+            layout: player.layoutName,
+            speed: player.speed,
+            labels: player.labels,
+            edgeView: player.edgeView,
+            noun: player.noun
+        });
+        this.lastFrame = 0;
+    }
+
+    get width() {
+        return this.player.width;
+    }
+
+    get height() {
+        return this.player.height;
+    }
+
+    get frameCount() {
+        return this.player.frames.length;
+    }
+
+    // Markup for one frame; the previous frame is drawn first when needed so
+    // L/W change highlights match playback
+    frameMarkup(index) {
+        const player = this.player;
+        if (index > 0 && this.lastFrame !== index - 1 && this.lastFrame !== index) {
+            player.renderFrame(index - 1);
+        }
+        player.renderFrame(index);
+        player.settle();
+        this.lastFrame = index;
+        return player.element.innerHTML;
+    }
+
+    destroy() {
+        this.player.destroy();
+        this.host.remove();
+    }
+}
+
+// One standalone SVG document with the given panel frames side by side
+function composeSvg(panels, frames, stylesheet) {
+    const width = panels.reduce((sum, p) => sum + p.width, 0) + EXPORT_PANEL_GAP * (panels.length - 1);
+    const height = Math.max(...panels.map(p => p.height)) + EXPORT_TITLE_HEIGHT;
+    let x = 0;
+    const body = panels.map((panel, i) => {
+        const markup = `
+  <text class="panel-title" x="${x + panel.width / 2}" y="20">${escapeXml(panel.source.algorithm.label)}</text>
+  <svg class="tournament-svg" x="${x}" y="${EXPORT_TITLE_HEIGHT}" width="${panel.width}" height="${panel.height}" viewBox="0 0 ${panel.width} ${panel.height}">${panel.frameMarkup(frames[i])}</svg>`;
+        x += panel.width + EXPORT_PANEL_GAP;
+        return markup;
+    }).join('');
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+  <style>${escapeXml(stylesheet)}</style>
+  <rect class="export-background" width="100%" height="100%"/>${body}
+</svg>`;
+    return { svg, width, height };
+}
+
+function escapeXml(text) {
+    return String(text).replace(/[<>&"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' })[c]);
+}
+
+// Rasterize an SVG document onto a canvas at `scale`
+async function svgToCanvas({ svg, width, height }, scale = 1, canvas = document.createElement('canvas')) {
+    const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+    try {
+        const image = new Image();
+        image.src = url;
+        await image.decode();
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = themeTokens()['--color-surface'] || '#fafafa';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+        return canvas;
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+function canvasToBlob(canvas, type = 'image/png') {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not encode image')), type);
+    });
+}
+
+/**
+ * Per-panel frame indices for a selection (null = whole run). Panels that
+ * run out of frames hold their last one.
+ */
+function panelFrameLists(panels, selection) {
+    return panels.map(panel => {
+        if (!selection) return Array.from({ length: panel.frameCount }, (_, i) => i);
+        const frames = selection.filter(i => i < panel.frameCount);
+        return frames.length > 0 ? frames : [panel.frameCount - 1];
+    });
+}
+
+/**
+ * Merge the panels' timelines: a new composite frame starts whenever any
+ * panel advances, and lasts until the next panel advances
+ */
+function exportTimeline(panels, frameLists) {
+    const events = new Map(); // start time -> true
+    const starts = frameLists.map((frames, p) => {
+        let t = 0;
+        return frames.map(index => {
+            const start = t;
+            events.set(start, true);
+            t += panels[p].source.frameDuration(index);
+            return start;
+        });
+    });
+    const times = [...events.keys()].sort((a, b) => a - b);
+    const hold = Math.max(...panels.map(p => p.source.speed)) * 2;
+    return times.map((time, i) => ({
+        frames: frameLists.map((frames, p) => {
+            let j = 0;
+            while (j + 1 < frames.length && starts[p][j + 1] <= time) j++;
+            return frames[j];
+        }),
+        duration: i + 1 < times.length ? times[i + 1] - time : hold
+    }));
+}
+
+/**
+ * Export `players` side by side. Options: { format: 'svg' | 'png' | 'gif' | 'webm',
+ * frames: selection text, onProgress(done, total) }.
+ */
+export async function exportAnimation(players, { format, frames = '', onProgress = () => {} }) {
+    const stylesheet = exportStylesheet();
+    const panels = players.map((player, i) => new ExportPanel(player, `export-panel-${i}`));
+    const name = `figure2-${players.map(p => p.config.algorithm).join('-vs-')}`;
+    try {
+        const count = Math.max(...panels.map(p => p.frameCount));
+        const frameLists = panelFrameLists(panels, parseFrameSelection(frames, count));
+
+        if (format === 'svg' || format === 'png') {
+            // One file per step; panels show the same step index
+            const steps = [...new Set(frameLists.flat())].sort((a, b) => a - b);
+            const files = [];
+            for (const [i, step] of steps.entries()) {
+                const doc = composeSvg(panels, panels.map(p => Math.min(step, p.frameCount - 1)), stylesheet);
+                const fileName = `${name}-frame-${String(step).padStart(3, '0')}.${format}`;
+                const blob = format === 'svg'
+                    ? new Blob([doc.svg], { type: 'image/svg+xml' })
+                    : await canvasToBlob(await svgToCanvas(doc, 2));
+                files.push({ name: fileName, blob });
+                onProgress(i + 1, steps.length);
+            }
+            if (files.length === 1) {
+                downloadBlob(files[0].blob, files[0].name);
+            } else {
+                downloadBlob(await createZip(files), `${name}-${format}.zip`);
+            }
+            return;
+        }
+
+        const timeline = exportTimeline(panels, frameLists);
+        if (format === 'gif') {
+            let encoder = null;
+            const canvas = document.createElement('canvas');
+            for (const [i, step] of timeline.entries()) {
+                await svgToCanvas(composeSvg(panels, step.frames, stylesheet), 1, canvas);
+                if (!encoder) encoder = createGifEncoder(canvas.width, canvas.height);
+                const pixels = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+                encoder.addFrame(pixels.data, step.duration);
+                onProgress(i + 1, timeline.length);
+            }
+            downloadBlob(new Blob([encoder.finish()], { type: 'image/gif' }), `${name}.gif`);
+        } else if (format === 'webm') {
+            downloadBlob(await recordWebm(panels, timeline, stylesheet, onProgress), `${name}.webm`);
+        } else {
+            throw new Error(`Unknown export format: ${format}`);
+        }
+    } finally {
+        panels.forEach(p => p.destroy());
+    }
+}
+
+// Play the timeline onto a canvas in real time and record it with MediaRecorder
+async function recordWebm(panels, timeline, stylesheet, onProgress) {
+    if (typeof MediaRecorder === 'undefined' || !HTMLCanvasElement.prototype.captureStream) {
+        throw new Error('WebM export is not supported in this browser');
+    }
+    const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+        .find(type => MediaRecorder.isTypeSupported(type));
+    if (!mimeType) throw new Error('WebM export is not supported in this browser');
+
+    // Rasterize up front so drawing during recording is instant
+    const stills = [];
+    for (const step of timeline) {
+        const canvas = await svgToCanvas(composeSvg(panels, step.frames, stylesheet), 1);
+        stills.push(await createImageBitmap(canvas));
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = stills[0].width;
+    canvas.height = stills[0].height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(stills[0], 0, 0);
+
+    const recorder = new MediaRecorder(canvas.captureStream(30), { mimeType });
+    const chunks = [];
+    recorder.ondataavailable = e => {
+        if (e.data.size > 0) chunks.push(e.data);
+    };
+    const stopped = new Promise(resolve => {
+        recorder.onstop = resolve;
+    });
+    recorder.start();
+    for (const [i, step] of timeline.entries()) {
+        ctx.drawImage(stills[i], 0, 0);
+        onProgress(i + 1, timeline.length);
+        await new Promise(resolve => setTimeout(resolve, step.duration));
+    }
+    recorder.stop();
+    await stopped;
+    stills.forEach(still => still.close());
+    return new Blob(chunks, { type: 'video/webm' });
+}
+
+// === ZIP (stored, uncompressed) for multi-file exports ===
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+async function createZip(files) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const data = new Uint8Array(await file.blob.arrayBuffer());
+        const name = encoder.encode(file.name);
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);            // version needed
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);  // compressed size
+        local.setUint32(22, data.length, true);  // uncompressed size
+        local.setUint16(26, name.length, true);
+        parts.push(local, name, data);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true);
+        entry.setUint16(4, 20, true);            // version made by
+        entry.setUint16(6, 20, true);            // version needed
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true);       // local header offset
+        directory.push(entry, name);
+
+        offset += 30 + name.length + data.length;
+    }
+
+    const directorySize = directory.reduce((sum, part) => sum + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+    return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+}
+
+// === Animated GIF (GIF89a, LZW) ===
+
+/**
+ * Streaming GIF encoder with a fixed palette: a 6x6x6 color cube plus 40
+ * grays, which covers the figure's flat fills and anti-aliased gray edges.
+ */
+function createGifEncoder(width, height) {
+    const bytes = [];
+    const byte = b => bytes.push(b & 0xFF);
+    const word = w => { byte(w); byte(w >> 8); };
+    const text = s => { for (let i = 0; i < s.length; i++) byte(s.charCodeAt(i)); };
+
+    text('GIF89a');
+    word(width);
+    word(height);
+    byte(0xF7); // global color table, 8 bits per channel, 256 entries
+    byte(0);    // background color index
+    byte(0);    // pixel aspect ratio
+    for (let r = 0; r < 6; r++) {
+        for (let g = 0; g < 6; g++) {
+            for (let b = 0; b < 6; b++) { byte(r * 51); byte(g * 51); byte(b * 51); }
+        }
+    }
+    for (let i = 0; i < 40; i++) {
+        const v = Math.round(i * 255 / 39);
+        byte(v); byte(v); byte(v);
+    }
+    // Loop forever (NETSCAPE2.0 application extension)
+    byte(0x21); byte(0xFF); byte(11); text('NETSCAPE2.0');
+    byte(3); byte(1); word(0); byte(0);
+
+    const paletteIndex = (r, g, b) => {
+        if (Math.max(r, g, b) - Math.min(r, g, b) < 12) return 216 + Math.round((r + g + b) / 3 * 39 / 255);
+        return Math.round(r / 51) * 36 + Math.round(g / 51) * 6 + Math.round(b / 51);
+    };
+
+    return {
+        addFrame(rgba, delayMs) {
+            // Graphic control extension: frame delay in hundredths of a second
+            byte(0x21); byte(0xF9); byte(4); byte(0);
+            word(Math.max(2, Math.round(delayMs / 10)));
+            byte(0); byte(0);
+            // Image descriptor
+            byte(0x2C); word(0); word(0); word(width); word(height); byte(0);
+
+            const pixels = new Uint8Array(width * height);
+            for (let i = 0; i < pixels.length; i++) {
+                pixels[i] = paletteIndex(rgba[i * 4], rgba[i * 4 + 1], rgba[i * 4 + 2]);
+            }
+            byte(8); // minimum LZW code size
+            const data = lzwEncode(pixels, 8);
+            for (let i = 0; i < data.length; i += 255) {
+                const block = data.subarray(i, i + 255);
+                byte(block.length);
+                for (let j = 0; j < block.length; j++) bytes.push(block[j]);
+            }
+            byte(0);
+        },
+        finish() {
+            byte(0x3B);
+            return new Uint8Array(bytes);
+        }
+    };
+}
+
+function lzwEncode(pixels, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const out = [];
+    let codeSize = minCodeSize + 1;
+    let bitBuffer = 0;
+    let bitCount = 0;
+    const emit = (code) => {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            out.push(bitBuffer & 0xFF);
+            bitBuffer >>>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    let table = new Map();
+    let nextCode = endCode + 1;
+    emit(clearCode);
+    let prefix = pixels[0];
+    for (let i = 1; i < pixels.length; i++) {
+        const pixel = pixels[i];
+        const key = prefix * 256 + pixel;
+        const existing = table.get(key);
+        if (existing !== undefined) {
+            prefix = existing;
+            continue;
+        }
+        emit(prefix);
+        if (nextCode < 4096) {
+            table.set(key, nextCode++);
+            if (nextCode > (1 << codeSize) && codeSize < 12) codeSize++;
+        } else {
+            emit(clearCode);
+            table = new Map();
+            nextCode = endCode + 1;
+            codeSize = minCodeSize + 1;
+        }
+        prefix = pixel;
+    }
+    emit(prefix);
+    emit(endCode);
+    if (bitCount > 0) out.push(bitBuffer & 0xFF);
+    return new Uint8Array(out);
+}
@@ -0,0 +1,33 @@
+/**
+ * Figure State - shareable figure state in the page URL
+ *
+ * Figures record their view as query parameters (e.g. ?model=glm&frame=12&speed=600)
+ * so a link restores the same view. Discrete user actions push a history entry;
+ * back/forward hands the restored parameters to every onFigureStateChange listener.
+ */
+
+// Current figure state as { key: string }
+export function readFigureState() {
+    return Object.fromEntries(new URLSearchParams(window.location.search));
+}
+
+/**
+ * Merge `changes` into the URL. A null/undefined/'' value removes the key, so
+ * defaults stay out of links. `push` adds a history entry instead of replacing.
+ */
+export function writeFigureState(changes, { push = true } = {}) {
+    const params = new URLSearchParams(window.location.search);
+    Object.entries(changes).forEach(([key, value]) => {
+        if (value === null || value === undefined || value === '') params.delete(key);
+        else params.set(key, String(value));
+    });
+    const query = params.toString();
+    const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+    if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) return;
+    if (push) history.pushState(null, '', url);
+    else history.replaceState(null, '', url);
+}
+
+export function onFigureStateChange(listener) {
+    window.addEventListener('popstate', () => listener(readFigureState()));
+}
@@ -0,0 +1,307 @@
+/**
+ * LLM Oracle - m-way ranking oracles for traces generated with streamTrace
+ * (trace-generator.js), and the panel that reranks the reader's own documents
+ *
+ * An oracle ranks a group of node ids best first. Subclasses of RankingOracle
+ * implement rankGroup(ids) -> { ranking, usage }; the base class repairs the
+ * ranking and records one usage entry per call. ChatRankingOracle talks to any
+ * OpenAI-compatible POST <endpoint>/chat/completions, so a local mock server
+ * that answers { choices: [{ message: { content: '[2] > [1]' } }], usage } can
+ * stand in for a real model.
+ */
+
+import { validateTraceConfig, streamTrace } from './trace-generator.js';
+import { TournamentAnimationPlayer, reducedMotion } from './player.js';
+import './blitzrank-player.js';
+
+const RERANK_MAX_DOCUMENTS = 50;
+
+// A model's ranking with unknown and repeated ids dropped and any ids it left
+// out appended in their original order
+export function completeRanking(ranking, ids) {
+    const order = [];
+    ranking.forEach(id => {
+        if (ids.includes(id) && !order.includes(id)) order.push(id);
+    });
+    ids.forEach(id => {
+        if (!order.includes(id)) order.push(id);
+    });
+    return order;
+}
+
+export class RankingOracle {
+    constructor() {
+        this.calls = []; // { call, items, ranking, promptTokens, completionTokens, totalTokens, ms }
+        this.started = 0;
+    }
+
+    // Rank node ids best first; the answer holds every id exactly once
+    async rank(ids) {
+        const call = ++this.started;
+        const started = performance.now();
+        const { ranking, usage } = await this.rankGroup([...ids]);
+        const order = completeRanking(ranking, ids);
+        this.calls.push({
+            call,
+            items: [...ids],
+            ranking: order,
+            promptTokens: usage ? usage.prompt_tokens ?? null : null,
+            completionTokens: usage ? usage.completion_tokens ?? null : null,
+            totalTokens: usage ? usage.total_tokens ?? null : null,
+            ms: Math.round(performance.now() - started)
+        });
+        this.calls.sort((a, b) => a.call - b.call);
+        return order;
+    }
+
+    // -> { ranking: ids best first, usage: { prompt_tokens, completion_tokens, total_tokens } or null }
+    async rankGroup(ids) {
+        throw new Error(`${this.constructor.name} does not implement rankGroup(ids)`);
+    }
+
+    // Token counts summed over the calls that reported them
+    totals() {
+        const sum = key => this.calls.reduce((total, c) => total + (c[key] || 0), 0);
+        return { promptTokens: sum('promptTokens'), completionTokens: sum('completionTokens'), totalTokens: sum('totalTokens') };
+    }
+}
+
+// Offline oracle: more query terms (of three letters or more) in a document
+// ranks it higher; no tokens used
+export class LexicalRankingOracle extends RankingOracle {
+    constructor({ query, documents }) {
+        super();
+        this.terms = new Set((query.toLowerCase().match(/[a-z0-9]+/g) || []).filter(word => word.length > 2));
+        this.documents = documents;
+    }
+
+    async rankGroup(ids) {
+        const score = id => (this.documents[id - 1].toLowerCase().match(/[a-z0-9]+/g) || [])
+            .filter(word => this.terms.has(word)).length;
+        return { ranking: [...ids].sort((a, b) => score(b) - score(a) || a - b), usage: null };
+    }
+}
+
+// Listwise prompt in the RankGPT style: passages are numbered 1..m within the call
+export class ChatRankingOracle extends RankingOracle {
+    constructor({ endpoint, apiKey = '', model, query, documents, signal = null, fetchImpl = (...args) => fetch(...args) }) {
+        super();
+        const base = endpoint.replace(/\/+$/, '');
+        this.url = base.endsWith('/chat/completions') ? base : `${base}/chat/completions`;
+        this.apiKey = apiKey;
+        this.model = model;
+        this.query = query;
+        this.documents = documents;
+        this.signal = signal;
+        this.fetch = fetchImpl;
+    }
+
+    messages(ids) {
+        const passages = ids.map((id, i) => `[${i + 1}] ${this.documents[id - 1]}`).join('\n');
+        return [
+            { role: 'system', content: 'You are RankGPT, an intelligent assistant that ranks passages by their relevance to a query.' },
+            {
+                role: 'user',
+                content: `Rank the ${ids.length} passages below by relevance to the query: ${this.query}\n\n${passages}\n\n` +
+                    'List every identifier, most relevant first, in the format [2] > [1] > [3]. Do not explain.'
+            }
+        ];
+    }
+
+    async rankGroup(ids) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+        const response = await this.fetch(this.url, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ model: this.model, messages: this.messages(ids), temperature: 0 }),
+            signal: this.signal
+        });
+        const data = await response.json().catch(() => null);
+        if (!response.ok) {
+            const detail = data && data.error ? data.error.message || JSON.stringify(data.error) : response.statusText;
+            throw new Error(`Oracle endpoint answered HTTP ${response.status}${detail ? `: ${detail}` : ''}`);
+        }
+        const content = data && data.choices && data.choices[0] && data.choices[0].message
+            ? data.choices[0].message.content
+            : null;
+        if (typeof content !== 'string') throw new Error('Oracle endpoint returned no message content');
+        const ranking = [...content.matchAll(/\[(\d+)\]/g)].map(match => ids[Number(match[1]) - 1]).filter(id => id !== undefined);
+        return { ranking, usage: data.usage || null };
+    }
+}
+
+function initRerankDemo() {
+    const panel = document.getElementById('rerank-player');
+    const runBtn = document.getElementById('rerank-run');
+    if (!panel || !runBtn) return;
+
+    const queryInput = document.getElementById('rerank-query');
+    const documentsInput = document.getElementById('rerank-documents');
+    const algorithmSelect = document.getElementById('rerank-algorithm');
+    const kInput = document.getElementById('rerank-k');
+    const mInput = document.getElementById('rerank-m');
+    const oracleSelect = document.getElementById('rerank-oracle');
+    const endpointInput = document.getElementById('rerank-endpoint');
+    const modelInput = document.getElementById('rerank-model');
+    const keyInput = document.getElementById('rerank-key');
+    const chatFields = document.getElementById('rerank-chat-fields');
+    const stopBtn = document.getElementById('rerank-stop');
+    const status = document.getElementById('rerank-status');
+    const usageTable = document.getElementById('rerank-usage');
+    const result = document.getElementById('rerank-result');
+
+    Object.entries(TournamentAnimationPlayer.algorithms).forEach(([name, spec]) => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = spec.label;
+        algorithmSelect.appendChild(option);
+    });
+    algorithmSelect.value = 'blitzrank';
+
+    let oracle = null;
+    let controller = null;
+
+    const setStatus = (text, isError = false) => {
+        status.textContent = text;
+        status.classList.toggle('error', isError);
+    };
+
+    const callCount = () => `${oracle.calls.length} oracle call${oracle.calls.length === 1 ? '' : 's'}`;
+
+    const showChatFields = () => {
+        if (chatFields) chatFields.hidden = oracleSelect.value !== 'chat';
+    };
+    oracleSelect.addEventListener('change', showChatFields);
+    showChatFields();
+
+    const renderUsage = () => {
+        if (!usageTable) return;
+        const cell = (tag, text, numeric = false) => {
+            const el = document.createElement(tag);
+            el.textContent = text;
+            if (numeric) el.className = 'numeric';
+            return el;
+        };
+        const tokens = value => (value === null ? '–' : String(value));
+        const head = document.createElement('thead');
+        const headRow = document.createElement('tr');
+        ['Call', 'Documents', 'Ranking', 'Prompt tokens', 'Completion tokens', 'Total tokens', 'Time (ms)']
+            .forEach((label, i) => headRow.appendChild(cell('th', label, i >= 3)));
+        head.appendChild(headRow);
+        const body = document.createElement('tbody');
+        oracle.calls.forEach(c => {
+            const row = document.createElement('tr');
+            row.append(
+                cell('td', String(c.call)),
+                cell('td', c.items.join(', ')),
+                cell('td', c.ranking.join(' > ')),
+                cell('td', tokens(c.promptTokens), true),
+                cell('td', tokens(c.completionTokens), true),
+                cell('td', tokens(c.totalTokens), true),
+                cell('td', String(c.ms), true)
+            );
+            body.appendChild(row);
+        });
+        const totals = oracle.totals();
+        const foot = document.createElement('tfoot');
+        const footRow = document.createElement('tr');
+        footRow.append(
+            cell('td', 'Total'), cell('td', `${oracle.calls.length} calls`), cell('td', ''),
+            cell('td', String(totals.promptTokens), true),
+            cell('td', String(totals.completionTokens), true),
+            cell('td', String(totals.totalTokens), true),
+            cell('td', String(oracle.calls.reduce((sum, c) => sum + c.ms, 0)), true)
+        );
+        foot.appendChild(footRow);
+        usageTable.replaceChildren(head, body, foot);
+        usageTable.hidden = oracle.calls.length === 0;
+    };
+
+    const showResult = (trace, documents) => {
+        if (!result) return;
+        const final = trace.frames[trace.frames.length - 1];
+        const top = Object.values(final.nodes).filter(node => node.status === 'finalized_top').map(node => node.id);
+        result.replaceChildren(...top.map(id => {
+            const item = document.createElement('li');
+            item.textContent = `[${id}] ${documents[id - 1]}`;
+            return item;
+        }));
+        result.hidden = top.length === 0;
+    };
+
+    // Frames arrive a compare step at a time; playback follows them while it
+    // is running or waiting at the last frame, and a paused reader stays put
+    const onFrames = (trace, labels) => {
+        const following = !panel.player || panel.isPlaying || panel.position >= panel.lastPosition;
+        if (!panel.player) panel.load(trace, { labels });
+        else panel.setFrames(trace.frames);
+        if (following) {
+            if (reducedMotion.matches) panel.goToFrame(trace.frames.length - 1);
+            else panel.play();
+        }
+        renderUsage();
+        setStatus(`${callCount()} so far…`);
+    };
+
+    const run = async () => {
+        const query = queryInput.value.trim();
+        const documents = documentsInput.value.split('\n').map(line => line.trim()).filter(Boolean);
+        const config = { n: documents.length, k: Number(kInput.value), m: Number(mInput.value) };
+        try {
+            if (!query) throw new Error('Enter a query');
+            if (documents.length > RERANK_MAX_DOCUMENTS) throw new Error(`Enter at most ${RERANK_MAX_DOCUMENTS} documents`);
+            validateTraceConfig(config);
+            if (oracleSelect.value === 'chat' && !endpointInput.value.trim()) throw new Error('Enter an endpoint URL');
+        } catch (e) {
+            setStatus(e.message, true);
+            return;
+        }
+
+        if (controller) controller.abort();
+        controller = new AbortController();
+        const { signal } = controller;
+        oracle = oracleSelect.value === 'chat'
+            ? new ChatRankingOracle({
+                endpoint: endpointInput.value.trim(),
+                apiKey: keyInput.value.trim(),
+                model: modelInput.value.trim(),
+                query,
+                documents,
+                signal
+            })
+            : new LexicalRankingOracle({ query, documents });
+        const labels = {};
+        documents.forEach((text, i) => { labels[i + 1] = text; });
+
+        panel.clear();
+        if (result) result.hidden = true;
+        runBtn.disabled = true;
+        stopBtn.disabled = false;
+        setStatus('Ranking…');
+        try {
+            const trace = await streamTrace(algorithmSelect.value, config, ids => oracle.rank(ids),
+                t => onFrames(t, labels), signal);
+            if (trace) {
+                showResult(trace, documents);
+                setStatus(`Done: ${callCount()}.`);
+            } else {
+                setStatus('Stopped.');
+            }
+        } catch (e) {
+            if (signal.aborted) setStatus('Stopped.');
+            else setStatus(e.message, true);
+        } finally {
+            if (controller && controller.signal === signal) controller = null;
+            runBtn.disabled = false;
+            stopBtn.disabled = true;
+        }
+    };
+
+    runBtn.addEventListener('click', run);
+    stopBtn.addEventListener('click', () => {
+        if (controller) controller.abort();
+    });
+}
+
+document.addEventListener('DOMContentLoaded', initRerankDemo);
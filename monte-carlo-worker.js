@@ -0,0 +1,38 @@
+/**
+ * Monte Carlo Worker - runs algorithms on seeded random instances off the main
+ * thread for the explorer (monte-carlo.js).
+ *
+ * In:  { algorithms, n, k, m, runs, firstSeed }
+ * Out: { type: 'progress', done, results } every PROGRESS_EVERY runs, then
+ *      { type: 'done', done, results }, or { type: 'error', message }.
+ * results[algorithm] holds { rounds, calls, batches } arrays indexed by run;
+ * run i used seed firstSeed + i.
+ */
+
+import { createInstance, generateTrace, summarizeTrace } from './trace-generator.js';
+
+const PROGRESS_EVERY = 100;
+
+self.addEventListener('message', (e) => {
+    const { algorithms, n, k, m, runs, firstSeed } = e.data;
+    const results = {};
+    algorithms.forEach(algorithm => {
+        results[algorithm] = { rounds: [], calls: [], batches: [] };
+    });
+    try {
+        for (let run = 0; run < runs; run++) {
+            const instance = createInstance({ n, k, m, seed: firstSeed + run });
+            algorithms.forEach(algorithm => {
+                const summary = summarizeTrace(generateTrace(algorithm, instance));
+                Object.entries(summary).forEach(([metric, value]) => results[algorithm][metric].push(value));
+            });
+            if ((run + 1) % PROGRESS_EVERY === 0 && run + 1 < runs) {
+                self.postMessage({ type: 'progress', done: run + 1, results });
+            }
+        }
+    } catch (err) {
+        self.postMessage({ type: 'error', message: err.message });
+        return;
+    }
+    self.postMessage({ type: 'done', done: runs, results });
+});
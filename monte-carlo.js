@@ -0,0 +1,276 @@
+/**
+ * Monte Carlo Explorer - how rounds and oracle calls are distributed over many
+ * random instances, not just the one shuffle behind Figure 2. Runs happen in a
+ * worker (monte-carlo-worker.js); each algorithm gets a histogram of the chosen
+ * metric, and clicking a bar plays one of the runs that landed in it.
+ */
+
+import { validateTraceConfig, createInstance, generateTrace, summarizeTrace } from './trace-generator.js';
+import { TournamentAnimationPlayer } from './player.js';
+import { niceStep } from './cost-meter.js';
+import './blitzrank-player.js';
+
+const MC_METRICS = {
+    rounds: 'Rounds',
+    calls: 'Oracle calls',
+    batches: 'Parallel batches'
+};
+const MC_MAX_RUNS = 10000;
+const MC_MAX_BINS = 30;
+const MC_DEFAULT_ALGORITHMS = ['blitzrank', 'sliding_window'];
+
+// Nearest-rank percentile of ascending `sorted`
+function percentile(sorted, p) {
+    return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil(p / 100 * sorted.length) - 1))];
+}
+
+function summarizeRuns(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return {
+        mean: values.reduce((sum, v) => sum + v, 0) / values.length,
+        p50: percentile(sorted, 50),
+        p90: percentile(sorted, 90),
+        p99: percentile(sorted, 99),
+        best: sorted[0],
+        worst: sorted[sorted.length - 1]
+    };
+}
+
+/**
+ * Shared bins for the algorithms' values of one metric: whole numbers, widened
+ * until there are at most MC_MAX_BINS. Each bin holds, per algorithm, its run
+ * count and the first run that landed in it.
+ */
+function binRuns(series) {
+    const all = series.flatMap(values => values);
+    const min = Math.min(...all);
+    const max = Math.max(...all);
+    const width = Math.max(1, Math.ceil((max - min + 1) / MC_MAX_BINS));
+    const start = Math.floor(min / width) * width;
+    const bins = [];
+    for (let low = start; low <= max; low += width) {
+        bins.push({ low, high: low + width - 1, runs: series.map(() => ({ count: 0, run: null })) });
+    }
+    series.forEach((values, i) => {
+        values.forEach((value, run) => {
+            const slot = bins[Math.floor((value - start) / width)].runs[i];
+            slot.count++;
+            if (slot.run === null) slot.run = run;
+        });
+    });
+    return bins;
+}
+
+// Grouped bars, one per algorithm in each bin. Bars are buttons: they carry the
+// run they stand for in data attributes.
+function drawHistogram(svg, labels, series, metric) {
+    const width = 600;
+    const height = 220;
+    const margin = { top: 12, right: 16, bottom: 36, left: 48 };
+    const bins = binRuns(series);
+    const maxCount = Math.max(1, ...bins.flatMap(bin => bin.runs.map(slot => slot.count)));
+    const yStep = niceStep(maxCount);
+    const yMax = Math.ceil(maxCount / yStep) * yStep;
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+    const slotWidth = plotWidth / bins.length;
+    const barWidth = slotWidth * 0.8 / series.length;
+    const y = count => +(margin.top + plotHeight - (count / yMax) * plotHeight).toFixed(1);
+    const binLabel = bin => (bin.low === bin.high ? `${bin.low}` : `${bin.low}–${bin.high}`);
+
+    const parts = [];
+    for (let count = 0; count <= yMax; count += yStep) {
+        parts.push(`<line class="cost-grid" x1="${margin.left}" x2="${width - margin.right}" y1="${y(count)}" y2="${y(count)}"/>`);
+        parts.push(`<text class="cost-tick" x="${margin.left - 6}" y="${y(count) + 4}" text-anchor="end">${count}</text>`);
+    }
+    const labelEvery = Math.ceil(bins.length / 12);
+    bins.forEach((bin, b) => {
+        const x = margin.left + b * slotWidth;
+        if (b % labelEvery === 0) {
+            parts.push(`<text class="cost-tick" x="${+(x + slotWidth / 2).toFixed(1)}" y="${height - margin.bottom + 16}" text-anchor="middle">${binLabel(bin)}</text>`);
+        }
+        bin.runs.forEach((slot, i) => {
+            if (slot.count === 0) return;
+            const label = `${labels[i]}, ${MC_METRICS[metric].toLowerCase()} ${binLabel(bin)}: ${slot.count} run${slot.count === 1 ? '' : 's'}. Play run ${slot.run + 1}.`;
+            parts.push(`<rect class="mc-bar panel-${i}" tabindex="0" role="button" data-series="${i}" data-run="${slot.run}" ` +
+                `x="${+(x + slotWidth * 0.1 + i * barWidth).toFixed(1)}" y="${y(slot.count)}" ` +
+                `width="${+barWidth.toFixed(1)}" height="${+(y(0) - y(slot.count)).toFixed(1)}" aria-label="${label}"><title>${label}</title></rect>`);
+        });
+    });
+    parts.push(`<line class="cost-axis" x1="${margin.left}" x2="${width - margin.right}" y1="${y(0)}" y2="${y(0)}"/>`);
+    parts.push(`<text class="cost-axis-label" x="${margin.left + plotWidth / 2}" y="${height - 4}" text-anchor="middle">${MC_METRICS[metric]}</text>`);
+    parts.push(`<text class="cost-axis-label" transform="translate(12 ${margin.top + plotHeight / 2}) rotate(-90)" text-anchor="middle">Runs</text>`);
+
+    // Markup is built from numbers and algorithm labels only
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    svg.innerHTML = parts.join('');
+    svg.setAttribute('aria-label', `Histogram of ${MC_METRICS[metric].toLowerCase()} per run for ${labels.join(' and ')}`);
+}
+
+function initMonteCarloExplorer() {
+    const runBtn = document.getElementById('mc-run');
+    const chart = document.getElementById('mc-chart');
+    if (!runBtn || !chart) return;
+
+    const pickers = [document.getElementById('mc-algorithm-a'), document.getElementById('mc-algorithm-b')];
+    const inputs = {
+        n: document.getElementById('mc-n'),
+        k: document.getElementById('mc-k'),
+        m: document.getElementById('mc-m'),
+        runs: document.getElementById('mc-runs')
+    };
+    const stopBtn = document.getElementById('mc-stop');
+    const status = document.getElementById('mc-status');
+    const metricSelect = document.getElementById('mc-metric');
+    const legend = document.getElementById('mc-legend');
+    const statsTable = document.getElementById('mc-stats');
+    const runCaption = document.getElementById('mc-run-caption');
+    const player = document.getElementById('mc-player');
+
+    pickers.forEach((picker, i) => {
+        Object.entries(TournamentAnimationPlayer.algorithms).forEach(([name, spec]) => {
+            picker.appendChild(new Option(spec.label, name));
+        });
+        picker.value = MC_DEFAULT_ALGORITHMS[i];
+    });
+    Object.entries(MC_METRICS).forEach(([key, label]) => metricSelect.appendChild(new Option(label, key)));
+
+    let worker = null;
+    let current = null; // { config, algorithms, done, results } of the last run
+
+    const setStatus = (text, isError = false) => {
+        status.textContent = text;
+        status.classList.toggle('error', isError);
+    };
+
+    const label = algorithm => TournamentAnimationPlayer.algorithms[algorithm].label;
+
+    const renderStats = (metric) => {
+        const cell = (tag, text, numeric = false) => {
+            const el = document.createElement(tag);
+            el.textContent = text;
+            if (numeric) el.className = 'numeric';
+            return el;
+        };
+        const head = document.createElement('thead');
+        const headRow = document.createElement('tr');
+        [MC_METRICS[metric], 'Mean', 'Median', 'p90', 'p99', 'Best', 'Worst']
+            .forEach((text, i) => headRow.appendChild(cell('th', text, i > 0)));
+        head.appendChild(headRow);
+        const body = document.createElement('tbody');
+        current.algorithms.forEach(algorithm => {
+            const stats = summarizeRuns(current.results[algorithm][metric]);
+            const row = document.createElement('tr');
+            row.append(
+                cell('th', label(algorithm)),
+                cell('td', stats.mean.toFixed(2), true),
+                ...['p50', 'p90', 'p99', 'best', 'worst'].map(key => cell('td', String(stats[key]), true))
+            );
+            body.appendChild(row);
+        });
+        statsTable.replaceChildren(head, body);
+        statsTable.hidden = false;
+    };
+
+    const render = () => {
+        if (!current || current.done === 0) return;
+        const metric = metricSelect.value;
+        const series = current.algorithms.map(algorithm => current.results[algorithm][metric]);
+        drawHistogram(chart, current.algorithms.map(label), series, metric);
+        legend.replaceChildren(...current.algorithms.map((algorithm, i) => {
+            const entry = document.createElement('span');
+            entry.className = `cost-legend-entry panel-${i}`;
+            entry.textContent = label(algorithm);
+            return entry;
+        }));
+        renderStats(metric);
+    };
+    metricSelect.addEventListener('change', render);
+
+    // Replay a run on the main thread; the same seed gives the same trace
+    const playRun = (algorithm, run) => {
+        const { n, k, m } = current.config;
+        const seed = current.config.firstSeed + run;
+        const trace = generateTrace(algorithm, createInstance({ n, k, m, seed }));
+        player.load(trace);
+        const summary = summarizeTrace(trace);
+        runCaption.textContent = `${label(algorithm)}, run ${run + 1} (n=${n}, k=${k}, m=${m}, seed ${seed}): ` +
+            `${summary.rounds} rounds, ${summary.calls} oracle calls in ${summary.batches} parallel batches.`;
+        runCaption.hidden = false;
+    };
+
+    const barRun = (e) => {
+        const bar = e.target.closest && e.target.closest('.mc-bar');
+        if (!bar || !current) return;
+        e.preventDefault();
+        playRun(current.algorithms[Number(bar.dataset.series)], Number(bar.dataset.run));
+    };
+    chart.addEventListener('click', barRun);
+    chart.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') barRun(e);
+    });
+
+    const finish = () => {
+        if (worker) worker.terminate();
+        worker = null;
+        runBtn.disabled = false;
+        stopBtn.disabled = true;
+    };
+
+    runBtn.addEventListener('click', () => {
+        const config = {
+            n: Number(inputs.n.value),
+            k: Number(inputs.k.value),
+            m: Number(inputs.m.value),
+            runs: Number(inputs.runs.value),
+            firstSeed: 0
+        };
+        try {
+            validateTraceConfig(config);
+            if (!Number.isInteger(config.runs) || config.runs < 1 || config.runs > MC_MAX_RUNS) {
+                throw new RangeError(`runs must be an integer between 1 and ${MC_MAX_RUNS}`);
+            }
+            if (typeof Worker === 'undefined') throw new Error('This browser cannot run Web Workers');
+        } catch (e) {
+            setStatus(e.message, true);
+            return;
+        }
+
+        finish();
+        const algorithms = [...new Set(pickers.map(picker => picker.value))];
+        current = { config, algorithms, done: 0, results: null };
+        worker = new Worker(new URL('monte-carlo-worker.js', import.meta.url), { type: 'module' });
+        worker.addEventListener('message', (e) => {
+            const { type, done, results, message } = e.data;
+            if (type === 'error') {
+                setStatus(message, true);
+                finish();
+                return;
+            }
+            Object.assign(current, { done, results });
+            render();
+            if (type === 'done') {
+                setStatus(`${done} runs.`);
+                finish();
+            } else {
+                setStatus(`${done} of ${config.runs} runs…`);
+            }
+        });
+        worker.addEventListener('error', (e) => {
+            setStatus(`Worker failed: ${e.message || 'could not load monte-carlo-worker.js'}`, true);
+            finish();
+        });
+        worker.postMessage({ algorithms, ...config });
+        runBtn.disabled = true;
+        stopBtn.disabled = false;
+        setStatus('Running…');
+    });
+
+    stopBtn.addEventListener('click', () => {
+        if (!worker) return;
+        finish();
+        setStatus(current.done > 0 ? `Stopped after ${current.done} runs.` : 'Stopped.');
+    });
+}
+
+document.addEventListener('DOMContentLoaded', initMonteCarloExplorer);
@@ -0,0 +1,239 @@
+/**
+ * Oracle Game - "Be the oracle" mode for the 25 horses puzzle: the visitor
+ * orders every race by hand and the chosen algorithm carries on from their answers
+ */
+
+import { AnswerGraph, replayTrace } from './trace-generator.js';
+import { TournamentAnimationPlayer, reducedMotion } from './player.js';
+import './blitzrank-player.js';
+
+const ORACLE_GAME_CONFIG = { n: 25, k: 3, m: 5 };
+// Fewest races that always find the 3 fastest of 25 horses racing 5 at a time
+const ORACLE_GAME_OPTIMAL_RACES = 7;
+const ORACLE_GAME_ALGORITHMS = ['blitzrank', 'sliding_window'];
+
+// Race card list: drag a horse to reorder, or use its move buttons
+class RaceLanes {
+    constructor(list) {
+        this.list = list;
+        this.dragged = null;
+
+        list.addEventListener('dragstart', (e) => {
+            this.dragged = e.target.closest('li');
+            if (!this.dragged) return;
+            this.dragged.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', this.dragged.dataset.id);
+        });
+        list.addEventListener('dragover', (e) => {
+            const over = e.target.closest('li');
+            if (!this.dragged || !over || over === this.dragged) return;
+            e.preventDefault();
+            const box = over.getBoundingClientRect();
+            const after = e.clientY > box.top + box.height / 2;
+            list.insertBefore(this.dragged, after ? over.nextSibling : over);
+        });
+        list.addEventListener('dragend', () => {
+            if (!this.dragged) return;
+            this.dragged.classList.remove('dragging');
+            this.dragged = null;
+            this.refresh();
+        });
+        list.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-move]');
+            if (!button) return;
+            const item = button.closest('li');
+            const sibling = button.dataset.move === 'up' ? item.previousElementSibling : item.nextElementSibling;
+            if (!sibling) return;
+            if (button.dataset.move === 'up') list.insertBefore(item, sibling);
+            else list.insertBefore(sibling, item);
+            button.focus();
+            this.refresh();
+        });
+    }
+
+    show(group, noun) {
+        this.list.replaceChildren(...group.map(id => {
+            const item = document.createElement('li');
+            item.className = 'race-lane';
+            item.draggable = true;
+            item.dataset.id = id;
+            const name = document.createElement('span');
+            name.className = 'race-name';
+            name.textContent = `${noun} ${id}`;
+            const speed = document.createElement('span');
+            speed.className = 'race-speed';
+            speed.textContent = 'speed ?';
+            item.append(name, speed);
+            ['up', 'down'].forEach(direction => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.dataset.move = direction;
+                button.textContent = direction === 'up' ? '▲' : '▼';
+                button.setAttribute('aria-label', `Move ${noun.toLowerCase()} ${id} ${direction}`);
+                item.appendChild(button);
+            });
+            return item;
+        }));
+        this.refresh();
+    }
+
+    ranking() {
+        return Array.from(this.list.children, item => Number(item.dataset.id));
+    }
+
+    // The first card can't move up, nor the last one down
+    refresh() {
+        const items = Array.from(this.list.children);
+        items.forEach((item, i) => {
+            item.querySelector('[data-move="up"]').disabled = i === 0;
+            item.querySelector('[data-move="down"]').disabled = i === items.length - 1;
+        });
+    }
+}
+
+function initOracleGame() {
+    const panel = document.getElementById('oracle-game-player');
+    const lanesList = document.getElementById('oracle-race-lanes');
+    if (!panel || !lanesList) return;
+
+    const algorithmSelect = document.getElementById('oracle-game-algorithm');
+    const newGameBtn = document.getElementById('oracle-game-new');
+    const undoBtn = document.getElementById('oracle-game-undo');
+    const submitBtn = document.getElementById('oracle-race-submit');
+    const raceTitle = document.getElementById('oracle-race-title');
+    const raceBox = document.getElementById('oracle-race');
+    const status = document.getElementById('oracle-game-status');
+    const report = document.getElementById('oracle-game-report');
+    const noun = 'Horse';
+
+    ORACLE_GAME_ALGORITHMS.forEach(name => {
+        const spec = TournamentAnimationPlayer.algorithms[name];
+        if (!spec || !algorithmSelect) return;
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = spec.label;
+        algorithmSelect.appendChild(option);
+    });
+
+    let algorithm = ORACLE_GAME_ALGORITHMS[0];
+    let answers = [];
+    let graph = null;
+    let pending = [];
+
+    const lanes = new RaceLanes(lanesList);
+
+    const setStatus = (text, isError = false) => {
+        if (!status) return;
+        status.textContent = text;
+        status.classList.toggle('error', isError);
+    };
+
+    const describeConflict = ({ call, winner, loser }) =>
+        `Race ${call} put ${noun.toLowerCase()} ${winner} ahead of ${loser}, but earlier races already had ${loser} ahead of ${winner}.`;
+
+    const showReport = () => {
+        if (!report) return;
+        const final = panel.player.frames[panel.player.frames.length - 1];
+        const top = Object.values(final.nodes).filter(node => node.status === 'finalized_top').map(node => node.id);
+        const races = answers.length;
+        const extra = races - ORACLE_GAME_OPTIMAL_RACES;
+        const lines = [
+            `Your top ${ORACLE_GAME_CONFIG.k}: ${noun.toLowerCase()}s ${top.join(', ')}.`,
+            `You needed ${races} race${races === 1 ? '' : 's'}; the puzzle can be solved in ${ORACLE_GAME_OPTIMAL_RACES}` +
+                (extra > 0 ? `, so that is ${extra} more than optimal.` : ', so that is optimal.')
+        ];
+        const heading = document.createElement('p');
+        heading.textContent = lines.join(' ');
+        const conflicts = document.createElement('p');
+        conflicts.className = graph.conflicts.length > 0 ? 'oracle-game-conflicts' : '';
+        conflicts.textContent = graph.conflicts.length === 0
+            ? 'All your answers were consistent: no cycles in the comparison graph.'
+            : `${graph.conflicts.length} answer${graph.conflicts.length === 1 ? '' : 's'} created a cycle in the comparison graph:`;
+        const items = graph.conflicts.map(conflict => {
+            const item = document.createElement('li');
+            item.textContent = describeConflict(conflict);
+            return item;
+        });
+        const list = document.createElement('ul');
+        list.append(...items);
+        report.replaceChildren(heading, conflicts, ...(items.length > 0 ? [list] : []));
+        report.hidden = false;
+    };
+
+    // Replay the answers and show what comes next: the next race, or the report.
+    // Playback resumes from frame `from` (by default where it was).
+    const advance = (from = panel.position) => {
+        let result;
+        try {
+            result = replayTrace(algorithm, ORACLE_GAME_CONFIG, answers);
+        } catch (e) {
+            setStatus(`The game could not continue: ${e.message}`, true);
+            return;
+        }
+        pending = result.pending;
+
+        // Earlier frames never change, so a trace of the same length is the same trace
+        if (!panel.player || result.frames.length !== panel.player.frames.length) {
+            if (panel.player) panel.setFrames(result.frames);
+            else panel.load({ config: result.config, frames: result.frames });
+            if (reducedMotion.matches) {
+                panel.goToFrame(result.frames.length - 1);
+            } else {
+                panel.goToFrame(from);
+                panel.play();
+            }
+        }
+
+        if (undoBtn) undoBtn.disabled = answers.length === 0;
+        if (pending.length === 0) {
+            if (raceBox) raceBox.hidden = true;
+            showReport();
+            return;
+        }
+        if (raceBox) raceBox.hidden = false;
+        if (report) report.hidden = true;
+        if (raceTitle) raceTitle.textContent = `Race ${answers.length + 1}`;
+        lanes.show(pending[0], noun);
+    };
+
+    const newGame = () => {
+        algorithm = algorithmSelect && algorithmSelect.value ? algorithmSelect.value : ORACLE_GAME_ALGORITHMS[0];
+        answers = [];
+        graph = new AnswerGraph(ORACLE_GAME_CONFIG.n);
+        panel.clear();
+        setStatus('Drag the horses into finishing order, fastest first, then finish the race.');
+        advance();
+    };
+
+    if (submitBtn) {
+        submitBtn.addEventListener('click', () => {
+            if (pending.length === 0) return;
+            const ranking = lanes.ranking();
+            answers.push(ranking);
+            const conflicts = graph.add(answers.length, ranking);
+            if (conflicts.length > 0) setStatus(conflicts.map(describeConflict).join(' '), true);
+            else setStatus('');
+            advance();
+        });
+    }
+
+    // Undo rebuilds the graph from the remaining answers
+    if (undoBtn) {
+        undoBtn.addEventListener('click', () => {
+            if (answers.length === 0) return;
+            answers.pop();
+            graph = new AnswerGraph(ORACLE_GAME_CONFIG.n);
+            answers.forEach((ranking, i) => graph.add(i + 1, ranking));
+            setStatus('');
+            advance(Infinity);
+        });
+    }
+
+    if (newGameBtn) newGameBtn.addEventListener('click', newGame);
+    if (algorithmSelect) algorithmSelect.addEventListener('change', newGame);
+
+    newGame();
+}
+
+document.addEventListener('DOMContentLoaded', initOracleGame);
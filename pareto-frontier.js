@@ -0,0 +1,41 @@
+/**
+ * Pareto Frontier - the published points of Figure 1 as rows and which of
+ * them are Pareto-optimal, shared by the chart (pareto.js) and the reader's
+ * own results (user-results.js)
+ */
+
+// Method a trace belongs to: its legend group, or its name for methods drawn as a single trace
+export function traceMethod(trace) {
+    return trace.legendgroup || trace.name;
+}
+
+// Whether point `a` ({ x: tokens, y: accuracy }) dominates `b`: at least as
+// cheap and as accurate, and strictly better in one of the two
+export function dominates(a, b) {
+    return a.x <= b.x && a.y >= b.y && (a.x < b.x || a.y > b.y);
+}
+
+/**
+ * The plotted points of the given models as table rows:
+ *   { oracle, method, configuration, avgTokensPerQueryK, ndcg10, onFrontier }
+ * Marker traces hold the points (line traces only connect them); a point is on
+ * the frontier when no other point of the same oracle dominates it.
+ */
+export function paretoRows(plotData, models) {
+    return models.flatMap(model => {
+        const rows = plotData.models[model].data
+            .filter(trace => String(trace.mode || 'markers').includes('markers'))
+            .flatMap(trace => trace.x.map((x, i) => ({
+                oracle: plotData.models[model].displayName,
+                method: traceMethod(trace),
+                configuration: String(trace.customdata ? trace.customdata[i] : traceMethod(trace)),
+                avgTokensPerQueryK: x,
+                ndcg10: trace.y[i]
+            })));
+        const point = row => ({ x: row.avgTokensPerQueryK, y: row.ndcg10 });
+        rows.forEach(row => {
+            row.onFrontier = !rows.some(other => dominates(point(other), point(row)));
+        });
+        return rows;
+    });
+}
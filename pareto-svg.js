@@ -0,0 +1,242 @@
+/**
+ * Pareto SVG - a small static renderer for Figure 1 when Plotly can't be
+ * loaded, e.g. offline before the vendored copy is cached. It draws the figure
+ * objects pareto.js builds for Plotly: scatter traces in lines and/or markers
+ * mode, linear or log axes, a layout grid of subplots with their title
+ * annotations, and a legend. Hover templates become native tooltips; there is
+ * no zooming or hover highlighting.
+ */
+
+import { SVG_NS } from './renderers.js';
+
+// Marker outlines centred on 0,0 for a marker of size `s` (diameter in px)
+function regularPolygon(sides, r, rotation = -Math.PI / 2) {
+    const points = [];
+    for (let i = 0; i < sides; i++) {
+        const angle = rotation + i * 2 * Math.PI / sides;
+        points.push(`${(r * Math.cos(angle)).toFixed(2)},${(r * Math.sin(angle)).toFixed(2)}`);
+    }
+    return `M${points.join('L')}Z`;
+}
+
+function starPath(r) {
+    const points = [];
+    for (let i = 0; i < 10; i++) {
+        const radius = i % 2 === 0 ? r : r * 0.45;
+        const angle = -Math.PI / 2 + i * Math.PI / 5;
+        points.push(`${(radius * Math.cos(angle)).toFixed(2)},${(radius * Math.sin(angle)).toFixed(2)}`);
+    }
+    return `M${points.join('L')}Z`;
+}
+
+const MARKER_PATHS = {
+    square: s => regularPolygon(4, s * 0.62, Math.PI / 4),
+    diamond: s => regularPolygon(4, s * 0.62),
+    'triangle-up': s => regularPolygon(3, s * 0.62),
+    'triangle-down': s => regularPolygon(3, s * 0.62, Math.PI / 2),
+    pentagon: s => regularPolygon(5, s * 0.55),
+    hexagon: s => regularPolygon(6, s * 0.55),
+    star: s => starPath(s * 0.65),
+    cross: s => crossPath(s * 0.5, 0),
+    x: s => crossPath(s * 0.55, Math.PI / 4)
+};
+
+// A plus sign of arm length r, turned by `rotation`
+function crossPath(r, rotation) {
+    const w = r * 0.34;
+    const outline = [[-w, -r], [w, -r], [w, -w], [r, -w], [r, w], [w, w], [w, r], [-w, r], [-w, w], [-r, w], [-r, -w], [-w, -w]];
+    const cos = Math.cos(rotation);
+    const sin = Math.sin(rotation);
+    return `M${outline.map(([x, y]) => `${(x * cos - y * sin).toFixed(2)},${(x * sin + y * cos).toFixed(2)}`).join('L')}Z`;
+}
+
+function svgEl(tag, attributes = {}) {
+    const el = document.createElementNS(SVG_NS, tag);
+    Object.entries(attributes).forEach(([name, value]) => el.setAttribute(name, value));
+    return el;
+}
+
+function markerShape(symbol, size) {
+    const path = MARKER_PATHS[symbol];
+    return path ? svgEl('path', { d: path(size) }) : svgEl('circle', { r: size / 2 });
+}
+
+const titleText = axis => (axis && axis.title ? (typeof axis.title === 'string' ? axis.title : axis.title.text || '') : '');
+
+// About five ticks: 1, 2 or 5 times a power of ten apart (decades for log axes)
+function axisTicks(min, max, log) {
+    if (log) {
+        const ticks = [];
+        for (let power = Math.floor(Math.log10(min)); power <= Math.ceil(Math.log10(max)); power++) {
+            [1, 2, 5].forEach(f => {
+                const value = f * Math.pow(10, power);
+                if (value >= min && value <= max) ticks.push(value);
+            });
+        }
+        return ticks;
+    }
+    const raw = (max - min) / 5 || 1;
+    const power = Math.pow(10, Math.floor(Math.log10(raw)));
+    const step = [1, 2, 5, 10].map(f => f * power).find(s => s >= raw);
+    const ticks = [];
+    for (let value = Math.ceil(min / step) * step; value <= max + step * 1e-9; value += step) {
+        ticks.push(Number(value.toPrecision(12)));
+    }
+    return ticks;
+}
+
+const tickLabel = value => String(Number(value.toPrecision(4)));
+
+// Data range of every trace, padded by 5% (in log space for log axes)
+function axisRange(values, log) {
+    const finite = values.filter(v => v !== null && Number.isFinite(v) && (!log || v > 0));
+    if (finite.length === 0) return log ? [1, 10] : [0, 1];
+    const scale = log ? Math.log10 : v => v;
+    const unscale = log ? v => Math.pow(10, v) : v => v;
+    const low = scale(Math.min(...finite));
+    const high = scale(Math.max(...finite));
+    const pad = (high - low) * 0.05 || 0.5;
+    return [unscale(low - pad), unscale(high + pad)];
+}
+
+// Plotly hover template as plain text: %{x:.1f}, %{y}, %{customdata}, %{meta}
+function hoverText(template, trace, i) {
+    const values = { x: trace.x[i], y: trace.y[i], customdata: trace.customdata ? trace.customdata[i] : '', meta: trace.meta || '' };
+    return template
+        .replace(/<extra>(.*?)<\/extra>/, (all, extra) => (extra ? `\n${extra}` : ''))
+        .replace(/%\{(\w+)(?::\.(\d+)f)?\}/g, (all, key, digits) => {
+            const value = key === 'meta' ? trace.meta || '' : values[key];
+            return digits !== undefined && typeof value === 'number' ? value.toFixed(Number(digits)) : String(value ?? '');
+        })
+        .replace(/<br\s*\/?>/g, '\n')
+        .replace(/<[^>]+>/g, '');
+}
+
+/**
+ * Draw `figure` ({ data, layout }, as passed to Plotly.newPlot) into `container`,
+ * replacing what it held.
+ */
+export function renderSvgScatter(container, figure) {
+    const { data, layout } = figure;
+    const legend = document.createElement('ul');
+    legend.className = 'pareto-svg-legend';
+    data.filter(trace => trace.showlegend !== false && trace.name).forEach(trace => {
+        const item = document.createElement('li');
+        const swatch = svgEl('svg', { class: 'pareto-svg-swatch', viewBox: '-8 -8 16 16', 'aria-hidden': 'true' });
+        const marker = trace.marker || {};
+        const shape = markerShape(marker.symbol, 11);
+        shape.setAttribute('fill', marker.color || (trace.line || {}).color || '#888888');
+        swatch.appendChild(shape);
+        item.append(swatch, trace.name);
+        legend.appendChild(item);
+    });
+
+    // The plot fills what the legend leaves of the container's height
+    container.replaceChildren(legend);
+    const width = container.clientWidth || 800;
+    const height = Math.max(200, (container.clientHeight || 420) - legend.offsetHeight);
+    const margin = { l: 60, r: 30, t: 30, b: 50, ...(layout.margin || {}) };
+    const grid = layout.grid || { rows: 1, columns: 1 };
+    const gap = { x: 50, y: 70 };
+    const cellWidth = (width - margin.l - margin.r - gap.x * (grid.columns - 1)) / grid.columns;
+    const cellHeight = (height - margin.t - margin.b - gap.y * (grid.rows - 1)) / grid.rows;
+    const log = (layout.xaxis || {}).type === 'log';
+    const xRange = axisRange(data.flatMap(trace => trace.x || []), log);
+    const yRange = axisRange(data.flatMap(trace => trace.y || []), false);
+    const subplot = ref => Math.max(0, Number(String(ref || 'x').replace(/^[xy]/, '') || 1) - 1);
+    const cell = index => ({
+        left: margin.l + (index % grid.columns) * (cellWidth + gap.x),
+        top: margin.t + Math.floor(index / grid.columns) * (cellHeight + gap.y)
+    });
+    const scaleX = (box, x) => {
+        const [min, max] = log ? xRange.map(Math.log10) : xRange;
+        return box.left + ((log ? Math.log10(x) : x) - min) / (max - min) * cellWidth;
+    };
+    const scaleY = (box, y) => box.top + cellHeight - (y - yRange[0]) / (yRange[1] - yRange[0]) * cellHeight;
+
+    const svg = svgEl('svg', { class: 'pareto-svg', viewBox: `0 0 ${width} ${height}`, role: 'img' });
+    const cells = grid.rows * grid.columns;
+    for (let index = 0; index < cells; index++) {
+        const suffix = index === 0 ? '' : String(index + 1);
+        if (index > 0 && !layout[`xaxis${suffix}`]) continue;
+        const box = cell(index);
+        svg.appendChild(svgEl('rect', { class: 'pareto-svg-plot', x: box.left, y: box.top, width: cellWidth, height: cellHeight }));
+        axisTicks(xRange[0], xRange[1], log).forEach(value => {
+            const x = scaleX(box, value).toFixed(1);
+            svg.appendChild(svgEl('line', { class: 'pareto-svg-grid', x1: x, x2: x, y1: box.top, y2: box.top + cellHeight }));
+            const label = svgEl('text', { class: 'pareto-svg-tick', x, y: box.top + cellHeight + 14, 'text-anchor': 'middle' });
+            label.textContent = tickLabel(value);
+            svg.appendChild(label);
+        });
+        axisTicks(yRange[0], yRange[1], false).forEach(value => {
+            const y = scaleY(box, value).toFixed(1);
+            svg.appendChild(svgEl('line', { class: 'pareto-svg-grid', x1: box.left, x2: box.left + cellWidth, y1: y, y2: y }));
+            const label = svgEl('text', { class: 'pareto-svg-tick', x: box.left - 6, y: Number(y) + 4, 'text-anchor': 'end' });
+            label.textContent = tickLabel(value);
+            svg.appendChild(label);
+        });
+        const xTitle = titleText(layout[`xaxis${suffix}`]);
+        if (xTitle) {
+            const label = svgEl('text', { class: 'pareto-svg-title', x: box.left + cellWidth / 2, y: box.top + cellHeight + 34, 'text-anchor': 'middle' });
+            label.textContent = xTitle;
+            svg.appendChild(label);
+        }
+        const yTitle = titleText(layout[`yaxis${suffix}`]);
+        if (yTitle) {
+            const label = svgEl('text', {
+                class: 'pareto-svg-title',
+                transform: `translate(${box.left - 44} ${box.top + cellHeight / 2}) rotate(-90)`,
+                'text-anchor': 'middle'
+            });
+            label.textContent = yTitle;
+            svg.appendChild(label);
+        }
+    }
+
+    // Subplot titles
+    (layout.annotations || []).forEach(note => {
+        const box = cell(subplot(String(note.xref || 'x').split(' ')[0]));
+        const label = svgEl('text', { class: 'pareto-svg-subtitle', x: box.left + cellWidth / 2, y: box.top - 6, 'text-anchor': 'middle' });
+        label.textContent = note.text;
+        svg.appendChild(label);
+    });
+
+    data.forEach(trace => {
+        const box = cell(subplot(trace.xaxis));
+        const mode = String(trace.mode || 'markers');
+        const points = (trace.x || []).map((x, i) => ({ x, y: trace.y[i], i }))
+            .filter(p => p.x !== null && p.y !== null && (!log || p.x > 0));
+        const group = svgEl('g', { opacity: trace.opacity === undefined ? 1 : trace.opacity });
+        if (mode.includes('lines') && points.length > 1) {
+            const line = trace.line || {};
+            group.appendChild(svgEl('polyline', {
+                class: 'pareto-svg-line',
+                points: points.map(p => `${scaleX(box, p.x).toFixed(1)},${scaleY(box, p.y).toFixed(1)}`).join(' '),
+                stroke: line.color || '#888888',
+                'stroke-width': line.width || 2
+            }));
+        }
+        if (mode.includes('markers')) {
+            const marker = trace.marker || {};
+            const outline = marker.line || {};
+            points.forEach(p => {
+                const shape = markerShape(marker.symbol, marker.size || 8);
+                shape.setAttribute('transform', `translate(${scaleX(box, p.x).toFixed(1)} ${scaleY(box, p.y).toFixed(1)})`);
+                shape.setAttribute('fill', marker.color || '#888888');
+                shape.setAttribute('stroke', outline.color || 'none');
+                shape.setAttribute('stroke-width', outline.width || 0);
+                if (trace.hovertemplate) {
+                    const tip = svgEl('title');
+                    tip.textContent = hoverText(trace.hovertemplate, trace, p.i);
+                    shape.appendChild(tip);
+                }
+                group.appendChild(shape);
+            });
+        }
+        svg.appendChild(group);
+    });
+
+    svg.setAttribute('aria-label', `${titleText(layout.yaxis) || 'Accuracy'} against ${titleText(layout.xaxis) || 'cost'} ` +
+        `for ${[...legend.children].map(item => item.textContent).join(', ')}`);
+    container.appendChild(svg);
+}
@@ -0,0 +1,593 @@
+/**
+ * Pareto Plots - Figure 1: accuracy against token cost per LLM oracle, one
+ * oracle at a time or all of them at once (small multiples on shared axes, or
+ * one overlay where color is the method and marker symbol the oracle), plus a
+ * sortable table of the same points and CSV/JSON downloads. The reader's own
+ * results (user-results.js) are drawn alongside the published ones, and the x
+ * axis can show estimated dollar cost from an editable price table (pricing.js).
+ * Without Plotly (offline, before the vendored copy is cached) the chart is
+ * drawn as a static SVG scatter instead (pareto-svg.js). Either way its colors
+ * follow the page theme (theme.js).
+ */
+
+import { validateParetoData, loadValidated, showFigureError } from './data-schema.js';
+import { readFigureState, writeFigureState, onFigureStateChange } from './figure-state.js';
+import { traceMethod, paretoRows } from './pareto-frontier.js';
+import { parseUserResults, loadUserResults, saveUserResults, mergeUserResults, withUserResults, FRONTIER_GROUP } from './user-results.js';
+import { DEFAULT_PRICES, COST_AXES, parsePrices, loadPrices, savePrices, withCostAxis } from './pricing.js';
+import { downloadBlob } from './download.js';
+import { renderSvgScatter } from './pareto-svg.js';
+import { themeTokens, onThemeChange } from './theme.js';
+
+const ALL_MODELS = 'all';
+const PLOTLY_VENDOR_URL = 'vendor/plotly-2.27.0.min.js';
+
+// Overlay marker symbol per oracle, in plotData.models order
+const ORACLE_SYMBOLS = ['circle', 'square', 'diamond', 'triangle-up', 'star', 'pentagon', 'hexagon', 'cross', 'x', 'triangle-down'];
+
+const PARETO_PLOT_CONFIG = {
+    responsive: true,
+    displayModeBar: true,
+    modeBarButtonsToRemove: ['lasso2d', 'select2d'],
+    displaylogo: false,
+};
+
+// Copy a trace for a multi-oracle figure: grouped by method so legend clicks and
+// hover highlighting reach every oracle, with the oracle named in the hover label
+function oracleTrace(trace, displayName, legendShown) {
+    const method = traceMethod(trace);
+    const copy = { ...trace, legendgroup: method, meta: displayName };
+    if (trace.hovertemplate) {
+        copy.hovertemplate = trace.hovertemplate.replace(/<extra>.*?<\/extra>|$/, '<extra>%{meta}</extra>');
+    }
+    // One legend entry per method across all oracles
+    copy.showlegend = trace.showlegend !== false && !legendShown.has(method);
+    if (copy.showlegend) legendShown.add(method);
+    return copy;
+}
+
+function singleModelFigure(plotData, model) {
+    return {
+        data: plotData.models[model].data,
+        layout: { ...plotData.layout, autosize: true }
+    };
+}
+
+// One panel per oracle; every panel's axes match the first panel's
+function smallMultiplesFigure(plotData) {
+    const models = Object.values(plotData.models);
+    const columns = Math.min(3, models.length);
+    const rows = Math.ceil(models.length / columns);
+    const layout = {
+        ...plotData.layout,
+        autosize: true,
+        grid: { rows, columns, pattern: 'independent', xgap: 0.1, ygap: 0.22 },
+        margin: { ...plotData.layout.margin, t: 80 },
+        annotations: []
+    };
+    const legendShown = new Set();
+    const data = [];
+    models.forEach((model, i) => {
+        const suffix = i === 0 ? '' : String(i + 1);
+        const { title: xTitle, ...xaxis } = plotData.layout.xaxis || {};
+        const { title: yTitle, ...yaxis } = plotData.layout.yaxis || {};
+        // Axis titles only along the bottom edge and the left column
+        layout[`xaxis${suffix}`] = { ...xaxis, ...(i + columns >= models.length ? { title: xTitle } : {}), ...(i > 0 ? { matches: 'x' } : {}) };
+        layout[`yaxis${suffix}`] = { ...yaxis, ...(i % columns === 0 ? { title: yTitle } : {}), ...(i > 0 ? { matches: 'y' } : {}) };
+        layout.annotations.push({
+            text: model.displayName,
+            xref: `x${suffix} domain`,
+            yref: `y${suffix} domain`,
+            x: 0.5,
+            y: 1.02,
+            xanchor: 'center',
+            yanchor: 'bottom',
+            showarrow: false,
+            font: { size: 13 }
+        });
+        model.data.forEach(trace => data.push({
+            ...oracleTrace(trace, model.displayName, legendShown),
+            xaxis: `x${suffix}`,
+            yaxis: `y${suffix}`
+        }));
+    });
+    return { data, layout };
+}
+
+// All oracles on one plot, plus a grey legend entry per oracle as the symbol key
+function overlayFigure(plotData) {
+    const models = Object.values(plotData.models);
+    const legendShown = new Set();
+    const data = [];
+    models.forEach((model, i) => {
+        const symbol = ORACLE_SYMBOLS[i % ORACLE_SYMBOLS.length];
+        model.data.forEach(trace => {
+            const copy = oracleTrace(trace, model.displayName, legendShown);
+            if (copy.marker) copy.marker = { ...copy.marker, symbol };
+            data.push(copy);
+        });
+    });
+    models.forEach((model, i) => data.push({
+        type: 'scatter',
+        mode: 'markers',
+        x: [null],
+        y: [null],
+        name: model.displayName,
+        legendgroup: `oracle:${model.displayName}`,
+        marker: { symbol: ORACLE_SYMBOLS[i % ORACLE_SYMBOLS.length], size: 9, color: '#888888' },
+        hoverinfo: 'skip'
+    }));
+    return { data, layout: { ...plotData.layout, autosize: true } };
+}
+
+/**
+ * Recolor a figure for the page theme. The published colors are the light
+ * theme's: each method takes the theme's series color for its place in
+ * `methods`, the frontier line and the overlay's oracle key take the text
+ * colors, marker outlines the plot background, and the layout the theme's
+ * background, text and grid tokens. Colors of the reader's results are kept.
+ */
+function themedFigure(figure, tokens, methods) {
+    const data = figure.data.map(trace => {
+        const method = traceMethod(trace);
+        const color = methods.includes(method) ? tokens[`--color-series-${methods.indexOf(method) + 1}`]
+            : method === FRONTIER_GROUP ? tokens['--color-text']
+            : String(method).startsWith('oracle:') ? tokens['--color-text-light']
+            : null;
+        const copy = { ...trace };
+        if (color && trace.line) copy.line = { ...trace.line, color };
+        if (trace.marker) {
+            copy.marker = { ...trace.marker };
+            if (color) copy.marker.color = color;
+            if (trace.marker.line && trace.marker.line.color !== trace.marker.color) {
+                copy.marker.line = { ...trace.marker.line, color: tokens['--color-surface'] };
+            }
+        }
+        return copy;
+    });
+    const layout = {
+        ...figure.layout,
+        paper_bgcolor: tokens['--color-bg'],
+        plot_bgcolor: tokens['--color-surface'],
+        font: { ...(figure.layout.font || {}), color: tokens['--color-text'] },
+        legend: { ...(figure.layout.legend || {}), bgcolor: tokens['--color-bg'] }
+    };
+    Object.keys(layout).filter(key => /^[xy]axis\d*$/.test(key)).forEach(key => {
+        layout[key] = { ...layout[key], gridcolor: tokens['--color-border'], linecolor: tokens['--color-text'] };
+    });
+    return { data, layout };
+}
+
+// The CDN script in index.html defines Plotly before modules run; if it didn't
+// load, try the vendored copy (precached by sw.js). Resolves to null when
+// neither is available.
+function loadPlotly() {
+    if (typeof Plotly !== 'undefined') return Promise.resolve(Plotly);
+    return new Promise((resolve) => {
+        const script = document.createElement('script');
+        script.src = PLOTLY_VENDOR_URL;
+        script.addEventListener('load', () => resolve(typeof Plotly === 'undefined' ? null : Plotly));
+        script.addEventListener('error', () => resolve(null));
+        document.head.appendChild(script);
+    });
+}
+
+// Hovering a point brings out its method in every oracle and fades the rest
+function highlightMethodOnHover(chartEl, data) {
+    const opacity = data.map(trace => (trace.opacity === undefined ? 1 : trace.opacity));
+    let highlighted = null;
+    chartEl.on('plotly_hover', (e) => {
+        const method = data[e.points[0].curveNumber].legendgroup;
+        if (method === highlighted) return;
+        highlighted = method;
+        Plotly.restyle(chartEl, {
+            opacity: data.map((trace, i) => (trace.legendgroup === method ? opacity[i] : opacity[i] * 0.15))
+        });
+    });
+    chartEl.on('plotly_unhover', () => {
+        highlighted = null;
+        Plotly.restyle(chartEl, { opacity });
+    });
+}
+
+const PARETO_COLUMNS = [
+    { key: 'oracle', label: 'Oracle' },
+    { key: 'method', label: 'Method' },
+    { key: 'configuration', label: 'Configuration' },
+    { key: 'avgTokensPerQueryK', label: 'Avg. tokens/query (k)', numeric: true, format: v => v.toFixed(1) },
+    { key: 'ndcg10', label: 'nDCG@10', numeric: true, format: v => v.toFixed(1) },
+    { key: 'onFrontier', label: 'Pareto frontier', format: v => (v ? '✓' : '—') }
+];
+
+function paretoCsv(rows) {
+    const field = value => {
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const keys = PARETO_COLUMNS.map(column => column.key);
+    return [keys.join(','), ...rows.map(row => keys.map(key => field(row[key])).join(','))].join('\n') + '\n';
+}
+
+// Fill `table` with `rows` sorted by `sort` ({ key, ascending }); header buttons
+// call onSort(key). The oracle column is left out when every row shares one.
+function renderParetoTable(table, rows, sort, onSort) {
+    const columns = PARETO_COLUMNS.filter(column =>
+        column.key !== 'oracle' || new Set(rows.map(row => row.oracle)).size > 1);
+    const sorted = rows.map((row, i) => ({ row, i })).sort((a, b) => {
+        const x = a.row[sort.key];
+        const y = b.row[sort.key];
+        const order = typeof x === 'string' ? x.localeCompare(y) : Number(x) - Number(y);
+        return (sort.ascending ? order : -order) || a.i - b.i;
+    });
+
+    const headRow = document.createElement('tr');
+    columns.forEach(column => {
+        const th = document.createElement('th');
+        th.scope = 'col';
+        if (column.numeric) th.className = 'numeric';
+        th.setAttribute('aria-sort', column.key === sort.key ? (sort.ascending ? 'ascending' : 'descending') : 'none');
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = column.label;
+        button.addEventListener('click', () => onSort(column.key));
+        th.appendChild(button);
+        headRow.appendChild(th);
+    });
+    const head = document.createElement('thead');
+    head.appendChild(headRow);
+
+    const body = document.createElement('tbody');
+    sorted.forEach(({ row }) => {
+        const tr = document.createElement('tr');
+        tr.classList.toggle('on-frontier', row.onFrontier);
+        columns.forEach(column => {
+            const td = document.createElement('td');
+            td.textContent = column.format ? column.format(row[column.key]) : row[column.key];
+            if (column.numeric) td.className = 'numeric';
+            tr.appendChild(td);
+        });
+        body.appendChild(tr);
+    });
+
+    table.replaceChildren(head, body);
+}
+
+async function initParetoPlots() {
+    const container = document.querySelector('.pareto-container');
+    const chartEl = document.getElementById('pareto-chart');
+    const tabList = document.querySelector('.pareto-tabs');
+    const viewControl = document.querySelector('.pareto-view');
+    const viewSelect = document.getElementById('pareto-view');
+    const table = document.getElementById('pareto-table');
+    const tableToggle = document.getElementById('pareto-table-toggle');
+    const downloadScope = document.getElementById('pareto-download-scope');
+    const csvButton = document.getElementById('pareto-csv');
+    const jsonButton = document.getElementById('pareto-json');
+    const uploadFile = document.getElementById('user-results-file');
+    const uploadText = document.getElementById('user-results-text');
+    const uploadAdd = document.getElementById('user-results-add');
+    const uploadClear = document.getElementById('user-results-clear');
+    const uploadStatus = document.getElementById('user-results-status');
+    const axisSelect = document.getElementById('pareto-x-axis');
+    const priceRows = document.getElementById('price-rows');
+    const outputShareInput = document.getElementById('price-output-share');
+    const pricesExport = document.getElementById('prices-export');
+    const pricesImport = document.getElementById('prices-import');
+    const pricesReset = document.getElementById('prices-reset');
+    const pricesStatus = document.getElementById('prices-status');
+    if (!container || !chartEl) return;
+
+    let plotData = null;
+    let plotly = null;
+    try {
+        [plotly, plotData] = await Promise.all([loadPlotly(), loadValidated('plots/pareto_plotly.json', validateParetoData)]);
+    } catch (e) {
+        console.error('Failed to load pareto plot data:', e);
+        showFigureError(container, 'Pareto plot unavailable', e);
+        return;
+    }
+    if (!plotly) {
+        console.warn('Plotly could not be loaded; drawing the Pareto chart as a static SVG');
+        const notice = document.createElement('p');
+        notice.className = 'pareto-fallback-note';
+        notice.textContent = 'Interactive chart unavailable offline: showing a static version.';
+        chartEl.before(notice);
+        chartEl.classList.add('svg-fallback');
+    }
+
+    const defaultModel = plotData.models['gpt-4.1'] ? 'gpt-4.1' : Object.keys(plotData.models)[0];
+    const defaultView = 'multiples';
+    let currentModel = null;
+    let currentView = defaultView;
+    let currentAxis = 'tokens';
+    let prices = loadPrices(plotData);
+    let tableSort = { key: 'avgTokensPerQueryK', ascending: true };
+
+    // One tab per oracle, named by its displayName, then "All models"
+    const tabs = [...Object.entries(plotData.models), [ALL_MODELS, { displayName: 'All models' }]]
+        .map(([model, { displayName }]) => {
+            const tab = document.createElement('button');
+            tab.className = 'pareto-tab';
+            tab.setAttribute('role', 'tab');
+            tab.dataset.model = model;
+            tab.textContent = displayName;
+            tab.addEventListener('click', () => selectModel(model, currentView, true));
+            return tab;
+        });
+    if (tabList) tabList.replaceChildren(...tabs);
+
+    // Published data plus the reader's saved results
+    let userPoints = loadUserResults(plotData);
+    let figureData = withUserResults(plotData, userPoints);
+
+    const modelKeys = Object.keys(plotData.models);
+    // Published methods in order of appearance: their place picks the theme's series color
+    const methods = [...new Set(Object.values(plotData.models).flatMap(model => model.data.map(traceMethod)))];
+    const currentModels = () => (currentModel === ALL_MODELS ? modelKeys : [currentModel]);
+
+    function renderTable() {
+        if (!table) return;
+        renderParetoTable(table, paretoRows(figureData, currentModels()), tableSort, (key) => {
+            tableSort = { key, ascending: key === tableSort.key ? !tableSort.ascending : true };
+            renderTable();
+        });
+    }
+
+    // The table stands in for the chart while toggled on
+    if (table && tableToggle) {
+        tableToggle.addEventListener('click', () => {
+            const showTable = tableToggle.getAttribute('aria-pressed') !== 'true';
+            tableToggle.setAttribute('aria-pressed', String(showTable));
+            tableToggle.textContent = showTable ? 'Show chart' : 'Show table';
+            table.parentElement.hidden = !showTable;
+            chartEl.hidden = showTable;
+            if (showTable) renderTable();
+            else if (plotly) plotly.Plots.resize(chartEl);
+        });
+    }
+
+    const download = (format) => {
+        const scope = downloadScope && downloadScope.value === 'all' ? ALL_MODELS : currentModel;
+        const rows = paretoRows(figureData, scope === ALL_MODELS ? modelKeys : [scope]);
+        const blob = format === 'csv'
+            ? new Blob([paretoCsv(rows)], { type: 'text/csv' })
+            : new Blob([JSON.stringify(rows, null, 2)], { type: 'application/json' });
+        downloadBlob(blob, `pareto-${scope}.${format}`);
+    };
+    if (csvButton) csvButton.addEventListener('click', () => download('csv'));
+    if (jsonButton) jsonButton.addEventListener('click', () => download('json'));
+
+    // A SchemaError's first issue, with a count of the rest
+    const describeError = e => e.message +
+        (e.issues && e.issues.length > 1 ? ` (and ${e.issues.length - 1}${e.issues.truncated ? '+' : ''} more)` : '');
+
+    function renderPlot() {
+        const all = currentModel === ALL_MODELS;
+        const shown = withCostAxis(figureData, currentAxis, prices);
+        const figure = themedFigure(!all ? singleModelFigure(shown, currentModel)
+            : currentView === 'overlay' ? overlayFigure(shown)
+            : smallMultiplesFigure(shown), themeTokens(), methods);
+        chartEl.classList.toggle('small-multiples', all && currentView !== 'overlay');
+        chartEl.classList.toggle('overlay', all && currentView === 'overlay');
+        if (!plotly) {
+            renderSvgScatter(chartEl, figure);
+            return;
+        }
+        plotly.newPlot(chartEl, figure.data, figure.layout, PARETO_PLOT_CONFIG).then(() => {
+            if (all) highlightMethodOnHover(chartEl, figure.data);
+        });
+    }
+
+    // Show a model's plot (or all of them) and mark its tab; `record` adds a history entry
+    function selectModel(model, view, record) {
+        if (model !== ALL_MODELS && !plotData.models[model]) model = defaultModel;
+        if (view !== 'overlay') view = defaultView;
+        tabs.forEach(t => {
+            const active = t.dataset.model === model;
+            t.classList.toggle('active', active);
+            t.setAttribute('aria-selected', String(active));
+        });
+        if (viewControl) viewControl.hidden = model !== ALL_MODELS;
+        if (viewSelect) viewSelect.value = view;
+        currentModel = model;
+        currentView = view;
+        renderPlot();
+        if (table && !table.parentElement.hidden) renderTable();
+        if (record) {
+            writeFigureState({
+                model: model === defaultModel ? null : model,
+                view: model === ALL_MODELS && view !== defaultView ? view : null
+            });
+        }
+    }
+
+    // Adding results shows the first new point's oracle (unless all are shown)
+    const showUserPoints = (points) => {
+        userPoints = points;
+        saveUserResults(userPoints);
+        figureData = withUserResults(plotData, userPoints);
+        if (uploadClear) uploadClear.disabled = userPoints.length === 0;
+    };
+    const addUserResults = (text, source) => {
+        uploadStatus.classList.remove('error');
+        let points;
+        try {
+            points = parseUserResults(text, plotData, source);
+        } catch (e) {
+            uploadStatus.classList.add('error');
+            uploadStatus.textContent = describeError(e);
+            return;
+        }
+        const merged = mergeUserResults(userPoints, points);
+        const added = merged.length - userPoints.length;
+        const repeated = points.length - added;
+        showUserPoints(merged);
+        const rows = paretoRows(figureData, modelKeys).filter(row => row.method.endsWith('(yours)'));
+        uploadStatus.textContent = `Added ${added} point${added === 1 ? '' : 's'}` +
+            `${repeated > 0 ? ` (${repeated} already added)` : ''}; ` +
+            `${rows.filter(row => row.onFrontier).length} of your ${rows.length} are non-dominated.`;
+        selectModel(currentModel === ALL_MODELS ? ALL_MODELS : points[0].oracle, currentView, true);
+    };
+
+    if (uploadStatus) {
+        if (uploadFile) {
+            uploadFile.addEventListener('change', async () => {
+                const file = uploadFile.files[0];
+                if (!file) return;
+                addUserResults(await file.text(), file.name);
+                uploadFile.value = '';
+            });
+        }
+        if (uploadAdd && uploadText) {
+            uploadAdd.addEventListener('click', () => {
+                if (!uploadText.value.trim()) return;
+                addUserResults(uploadText.value, 'Pasted results');
+            });
+        }
+        if (uploadClear) {
+            uploadClear.disabled = userPoints.length === 0;
+            uploadClear.addEventListener('click', () => {
+                showUserPoints([]);
+                uploadStatus.classList.remove('error');
+                uploadStatus.textContent = 'Your results were removed.';
+                selectModel(currentModel, currentView, false);
+            });
+        }
+    }
+
+    // X axis: tokens, or estimated dollars from the price table
+    const setAxis = (axis) => {
+        currentAxis = COST_AXES[axis] ? axis : 'tokens';
+        if (axisSelect) axisSelect.value = currentAxis;
+    };
+    function selectAxis(axis, record) {
+        setAxis(axis);
+        renderPlot();
+        if (record) writeFigureState({ axis: currentAxis === 'tokens' ? null : currentAxis });
+    }
+
+    if (axisSelect) {
+        Object.entries(COST_AXES).forEach(([axis, spec]) => {
+            const option = document.createElement('option');
+            option.value = axis;
+            option.textContent = spec.label;
+            axisSelect.appendChild(option);
+        });
+        axisSelect.addEventListener('change', () => selectAxis(axisSelect.value, true));
+    }
+
+    // Editable price table, one row per model; edits are saved as they are made
+    const priceInputs = {};
+    const showPrices = () => {
+        if (outputShareInput) outputShareInput.value = +(prices.outputShare * 100).toFixed(2);
+        Object.entries(priceInputs).forEach(([key, inputs]) => {
+            const price = prices.models[key] || {};
+            inputs.input.value = price.input ?? '';
+            inputs.output.value = price.output ?? '';
+        });
+    };
+    const updatePrices = (next) => {
+        prices = next;
+        savePrices(prices);
+        showPrices();
+        if (currentAxis !== 'tokens') renderPlot();
+    };
+
+    if (priceRows && pricesStatus) {
+        priceRows.replaceChildren(...Object.entries(plotData.models).map(([key, model]) => {
+            const row = document.createElement('tr');
+            const name = document.createElement('th');
+            name.scope = 'row';
+            name.textContent = model.displayName;
+            row.appendChild(name);
+            priceInputs[key] = {};
+            ['input', 'output'].forEach(field => {
+                const cell = document.createElement('td');
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.min = '0';
+                input.step = '0.01';
+                input.setAttribute('aria-label', `${model.displayName} ${field} USD per million tokens`);
+                input.addEventListener('change', () => {
+                    const value = Number(input.value);
+                    if (input.value === '' || !(value >= 0)) {
+                        showPrices();
+                        return;
+                    }
+                    const price = { input: 0, output: 0, ...prices.models[key], [field]: value };
+                    updatePrices({ ...prices, models: { ...prices.models, [key]: price } });
+                });
+                priceInputs[key][field] = input;
+                cell.appendChild(input);
+                row.appendChild(cell);
+            });
+            return row;
+        }));
+
+        if (outputShareInput) {
+            outputShareInput.addEventListener('change', () => {
+                const percent = Number(outputShareInput.value);
+                if (outputShareInput.value === '' || !(percent >= 0 && percent <= 100)) {
+                    showPrices();
+                    return;
+                }
+                updatePrices({ ...prices, outputShare: percent / 100 });
+            });
+        }
+        if (pricesExport) {
+            pricesExport.addEventListener('click', () => {
+                downloadBlob(new Blob([JSON.stringify(prices, null, 2)], { type: 'application/json' }), 'blitzrank-prices.json');
+            });
+        }
+        if (pricesImport) {
+            pricesImport.addEventListener('change', async () => {
+                const file = pricesImport.files[0];
+                if (!file) return;
+                pricesStatus.classList.remove('error');
+                try {
+                    updatePrices(parsePrices(await file.text(), plotData, prices, file.name));
+                    pricesStatus.textContent = `Loaded prices from ${file.name}.`;
+                } catch (e) {
+                    pricesStatus.classList.add('error');
+                    pricesStatus.textContent = describeError(e);
+                }
+                pricesImport.value = '';
+            });
+        }
+        if (pricesReset) {
+            pricesReset.addEventListener('click', () => {
+                pricesStatus.classList.remove('error');
+                pricesStatus.textContent = 'Prices reset to the defaults.';
+                updatePrices({ outputShare: DEFAULT_PRICES.outputShare, models: { ...DEFAULT_PRICES.models } });
+            });
+        }
+        showPrices();
+    }
+
+    if (viewSelect) {
+        viewSelect.addEventListener('change', () => selectModel(ALL_MODELS, viewSelect.value, true));
+    }
+
+    // Redraw in the new theme's colors
+    onThemeChange(renderPlot);
+
+    // Back/forward restores the model, view and axis in the URL
+    onFigureStateChange(state => {
+        const model = state.model || defaultModel;
+        const view = state.view || defaultView;
+        const axis = state.axis || 'tokens';
+        if (axis !== currentAxis) {
+            setAxis(axis);
+            selectModel(model, view, false);
+        } else if (model !== currentModel || (model === ALL_MODELS && view !== currentView)) {
+            selectModel(model, view, false);
+        }
+    });
+
+    // Initial render (a linked model, view and axis take precedence)
+    const linked = readFigureState();
+    setAxis(linked.axis);
+    selectModel(linked.model || defaultModel, linked.view, false);
+}
+
+document.addEventListener('DOMContentLoaded', initParetoPlots);
@@ -0,0 +1,1407 @@
+/**
+ * Tournament Animation Player - trace playback with play/pause/step controls,
+ * drawn by an SVG or Canvas renderer (renderers.js)
+ */
+
+import { NODE_STATE_NAMES, SvgTournamentRenderer, CanvasTournamentRenderer } from './renderers.js';
+
+// Users who ask for reduced motion get no auto-play, node tweens or edge pulses
+export const reducedMotion = window.matchMedia
+    ? window.matchMedia('(prefers-reduced-motion: reduce)')
+    : { matches: false };
+
+export class TournamentAnimationPlayer {
+    /**
+     * Register how an algorithm's trace is drawn:
+     *   label          - display name
+     *   phases         - (config, { loss, win }) => { phase: caption }, where loss/win
+     *                    stand in for the words 'losses'/'wins' (renderers may style them)
+     *   statuses       - { trace status: node CSS class }
+     *   queryingPhases - phases in which queried nodes are highlighted
+     *   showDegrees    - draw per-node L/W counts (inDegree/outDegree)
+     *   edgeMode       - 'cumulative': `edges` is the comparison graph so far, with
+     *                    `newEdges`/`inferredEdges` highlighted in compare/closure;
+     *                    'per_round': `edges` only holds the current comparison
+     *   exact          - every elimination follows from k known winners and the final
+     *                    top-k is correct for a consistent oracle (held to by trace-audit.js)
+     */
+    static registerAlgorithm(name, spec) {
+        TournamentAnimationPlayer.algorithms[name] = {
+            queryingPhases: ['select', 'compare'],
+            showDegrees: false,
+            edgeMode: 'per_round',
+            exact: false,
+            ...spec
+        };
+    }
+
+    // Register a node layout: { label, positions(player, frame) -> { id: { x, y } } }
+    static registerLayout(name, spec) {
+        TournamentAnimationPlayer.layouts[name] = spec;
+    }
+
+    constructor(container, data, options = {}) {
+        this.container = container;
+        this.data = data;
+        this.config = data.config;
+        this.algorithm = TournamentAnimationPlayer.algorithms[this.config.algorithm];
+        if (!this.algorithm) throw new Error(`Unknown algorithm: ${this.config.algorithm}`);
+        this.frames = data.frames;
+        this.rounds = roundsReached(this.frames); // round reached at each frame
+        this.currentFrame = 0;
+        this.isPlaying = false;
+        this.playTimeout = null;
+        this.speed = options.speed || 1200; // ms per frame (1x = slowest)
+        this.onFrameChange = options.onFrameChange || null;
+        this.onPlaybackChange = options.onPlaybackChange || null; // ('play' | 'pause' | 'ended')
+        this.noun = options.noun || 'item'; // what a node stands for in narration
+        this.labels = options.labels || null; // { id: text } drawn instead of ids, e.g. document snippets
+        this.prevDegrees = {}; // Track previous L/W for highlighting changes
+        this.frameBudget = options.frameBudget || 12; // ms a frame may take to render
+        this.renderTime = 0;    // moving average of recent render times
+        this.lastRenderTime = 0;
+        this.lowDetail = false; // set while rendering runs over budget
+        this.reported = new Set(); // Unknown phases/statuses already warned about
+        
+        // Layout config - the grid widens past 5 columns for large n so every
+        // layout shares a roughly square drawing area
+        this.cols = Math.max(5, Math.ceil(Math.sqrt(this.config.n)));
+        this.nodeRadius = 18;
+        this.spacing = 60;
+        this.width = this.cols * this.spacing + 40;
+        this.height = Math.ceil(this.config.n / this.cols) * this.spacing + 100;
+        this.layoutName = options.layout || 'grid';
+        this.layoutCache = new Map(); // frame index -> target positions
+        this.edgeView = TournamentAnimationPlayer.edgeViews[options.edgeView] ? options.edgeView : 'all';
+        this.hasseCache = new Map();  // frame index -> transitive reduction among active nodes
+        this.positions = {};          // positions currently drawn
+        this.moveAnimation = null;
+        this.zoom = { scale: 1, x: 0, y: 0 };
+        this.dragged = false;        // last pointer press panned the view
+        this.inspected = null;       // node id shown in the inspector
+        this.relations = null;       // built on first inspection
+        this.auditMarks = null;      // frame index -> { nodes, edges } flagged by setAudit
+        
+        this.renderer = this.createRenderer(options.renderer || 'auto');
+        
+        this.init();
+    }
+
+    // 'svg', 'canvas', or 'auto' (Canvas once a frame draws more edges than SVG handles smoothly)
+    createRenderer(name) {
+        if (name === 'auto') {
+            const busiest = Math.max(...this.frames.map(f =>
+                (f.edges || []).length + (f.inferredEdges || []).length + 2 * (f.propagationPaths || []).length));
+            name = busiest > TournamentAnimationPlayer.canvasEdgeThreshold ? 'canvas' : 'svg';
+        }
+        return name === 'canvas' ? new CanvasTournamentRenderer(this) : new SvgTournamentRenderer(this);
+    }
+
+    // Text drawn on a node: its id, or the start of its label
+    nodeLabel(id) {
+        if (!this.labels) return String(id);
+        const label = String(this.labels[id] ?? id);
+        return label.length > 6 ? `${label.slice(0, 5)}…` : label;
+    }
+
+    // A node in tooltips: its id, followed by its label when it has one
+    nodeName(id) {
+        if (!this.labels) return String(id);
+        const label = String(this.labels[id] ?? '');
+        return label ? `${id} (${label.length > 80 ? `${label.slice(0, 79)}…` : label})` : String(id);
+    }
+
+    getNodePosition(nodeId) {
+        return this.positions[nodeId] || this.gridPosition(nodeId);
+    }
+
+    gridPosition(nodeId) {
+        const idx = nodeId - 1;
+        const row = Math.floor(idx / this.cols);
+        const col = idx % this.cols;
+        return {
+            x: col * this.spacing + this.spacing / 2 + 20,
+            y: row * this.spacing + this.spacing / 2 + 60
+        };
+    }
+
+    init() {
+        this.positions = this.layoutPositions(0);
+        this.renderer.mount();
+        this.element = this.renderer.element;
+        this.initZoom();
+        this.initInspector();
+        
+        // Render initial frame
+        this.renderFrame(0);
+    }
+
+    // Target positions for a frame under the current layout (cached per frame)
+    layoutPositions(index) {
+        if (!this.layoutCache.has(index)) {
+            const layout = TournamentAnimationPlayer.layouts[this.layoutName];
+            this.layoutCache.set(index, layout.positions(this, this.frames[index]));
+        }
+        return this.layoutCache.get(index);
+    }
+
+    setLayout(name) {
+        if (!TournamentAnimationPlayer.layouts[name] || name === this.layoutName) return;
+        this.layoutName = name;
+        this.layoutCache.clear();
+        this.moveNodes(this.layoutPositions(this.currentFrame));
+    }
+
+    // Which edges to draw: a key of TournamentAnimationPlayer.edgeViews
+    setEdgeView(name) {
+        if (!TournamentAnimationPlayer.edgeViews[name] || name === this.edgeView) return;
+        this.edgeView = name;
+        this.renderer.updateEdges(this.edgeList(this.frames[this.currentFrame], this.currentFrame));
+    }
+
+    // Tween nodes (and the edges attached to them) to their new positions;
+    // over budget, nodes jump straight there
+    moveNodes(target) {
+        if (this.moveAnimation) cancelAnimationFrame(this.moveAnimation);
+        this.moveAnimation = null;
+        const start = { ...this.positions };
+        let moving = false;
+        for (let i = 1; i <= this.config.n; i++) {
+            if (!start[i] || start[i].x !== target[i].x || start[i].y !== target[i].y) moving = true;
+        }
+        if (!moving) return;
+        if (this.lowDetail || reducedMotion.matches) {
+            this.positions = { ...target };
+            this.renderer.updatePositions();
+            return;
+        }
+
+        const duration = Math.min(450, this.speed * 0.4);
+        const begin = performance.now();
+        const step = (now) => {
+            const t = Math.min(1, (now - begin) / duration);
+            const ease = t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+            for (let i = 1; i <= this.config.n; i++) {
+                const from = start[i] || target[i];
+                const to = target[i];
+                this.positions[i] = {
+                    x: from.x + (to.x - from.x) * ease,
+                    y: from.y + (to.y - from.y) * ease
+                };
+            }
+            this.renderer.updatePositions();
+            this.moveAnimation = t < 1 ? requestAnimationFrame(step) : null;
+        };
+        this.moveAnimation = requestAnimationFrame(step);
+    }
+
+    // Finish any node tween immediately
+    settle() {
+        if (this.moveAnimation) cancelAnimationFrame(this.moveAnimation);
+        this.moveAnimation = null;
+        this.positions = { ...this.layoutPositions(this.currentFrame) };
+        this.renderer.updatePositions();
+    }
+
+    // Ctrl/⌘ + wheel (or pinch) zooms around the pointer, dragging pans,
+    // double-click resets; buttons offer the same without a wheel
+    initZoom() {
+        const controls = document.createElement('div');
+        controls.className = 'zoom-controls';
+        [['+', 'Zoom in', () => this.zoomBy(1.25)],
+         ['−', 'Zoom out', () => this.zoomBy(0.8)],
+         ['⤢', 'Reset zoom', () => this.resetZoom()]].forEach(([text, label, action]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = text;
+            button.setAttribute('aria-label', label);
+            button.addEventListener('click', action);
+            controls.appendChild(button);
+        });
+        this.container.appendChild(controls);
+        this.zoomControls = controls;
+
+        this.element.addEventListener('wheel', (e) => {
+            if (!e.ctrlKey && !e.metaKey) return;
+            e.preventDefault();
+            this.zoomBy(e.deltaY < 0 ? 1.1 : 1 / 1.1, this.toViewBoxPoint(e));
+        }, { passive: false });
+
+        let drag = null;
+        this.element.addEventListener('pointerdown', (e) => {
+            this.dragged = false;
+            if (this.zoom.scale === 1) return;
+            drag = { x: e.clientX, y: e.clientY, zoomX: this.zoom.x, zoomY: this.zoom.y };
+            this.element.setPointerCapture(e.pointerId);
+            this.element.classList.add('panning');
+        });
+        this.element.addEventListener('pointermove', (e) => {
+            if (!drag) return;
+            if (Math.abs(e.clientX - drag.x) + Math.abs(e.clientY - drag.y) > 3) this.dragged = true;
+            const ratio = this.width / (this.element.getBoundingClientRect().width || this.width);
+            this.zoom.x = drag.zoomX + (e.clientX - drag.x) * ratio;
+            this.zoom.y = drag.zoomY + (e.clientY - drag.y) * ratio;
+            this.applyZoom();
+        });
+        const endDrag = () => {
+            drag = null;
+            this.element.classList.remove('panning');
+        };
+        this.element.addEventListener('pointerup', endDrag);
+        this.element.addEventListener('pointercancel', endDrag);
+        this.element.addEventListener('dblclick', () => this.resetZoom());
+    }
+
+    toViewBoxPoint(e) {
+        const rect = this.element.getBoundingClientRect();
+        if (!rect.width) return { x: this.width / 2, y: this.height / 2 };
+        return {
+            x: (e.clientX - rect.left) * this.width / rect.width,
+            y: (e.clientY - rect.top) * this.height / rect.height
+        };
+    }
+
+    zoomBy(factor, center = { x: this.width / 2, y: this.height / 2 }) {
+        const scale = Math.max(1, Math.min(8, this.zoom.scale * factor));
+        const applied = scale / this.zoom.scale;
+        this.zoom.x = center.x - (center.x - this.zoom.x) * applied;
+        this.zoom.y = center.y - (center.y - this.zoom.y) * applied;
+        this.zoom.scale = scale;
+        if (scale === 1) this.zoom.x = this.zoom.y = 0;
+        this.applyZoom();
+    }
+
+    resetZoom() {
+        this.zoom = { scale: 1, x: 0, y: 0 };
+        this.applyZoom();
+    }
+
+    applyZoom() {
+        this.renderer.applyZoom(this.zoom);
+        this.element.classList.toggle('zoomed', this.zoom.scale > 1);
+    }
+
+    // Click (or Enter on a focused node) opens the inspector; clicking empty
+    // space or Escape closes it. Up/Down move focus between SVG nodes.
+    initInspector() {
+        this.inspector = document.createElement('div');
+        this.inspector.className = 'node-inspector';
+        this.inspector.hidden = true;
+        this.container.appendChild(this.inspector);
+
+        this.element.addEventListener('click', (e) => {
+            if (this.dragged) return;
+            const id = this.nodeAt(this.toViewBoxPoint(e));
+            this.inspect(id === this.inspected ? null : id);
+        });
+        this.element.addEventListener('keydown', (e) => {
+            const node = e.target.closest && e.target.closest('[data-id]');
+            if (e.key === 'Escape' && this.inspected !== null) {
+                e.preventDefault();
+                this.inspect(null);
+            }
+            if (!node) return;
+            const id = Number(node.dataset.id);
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                this.inspect(id === this.inspected ? null : id);
+            } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const next = (id - 1 + (e.key === 'ArrowDown' ? 1 : -1) + this.config.n) % this.config.n + 1;
+                this.renderer.focusNode(next);
+            }
+        });
+    }
+
+    // Node under a point in viewBox coordinates, if any
+    nodeAt(point) {
+        const x = (point.x - this.zoom.x) / this.zoom.scale;
+        const y = (point.y - this.zoom.y) / this.zoom.scale;
+        for (let i = 1; i <= this.config.n; i++) {
+            const pos = this.getNodePosition(i);
+            if ((pos.x - x) ** 2 + (pos.y - y) ** 2 <= this.nodeRadius ** 2) return i;
+        }
+        return null;
+    }
+
+    inspect(id) {
+        this.inspected = id;
+        this.updateInspector();
+    }
+
+    // First frame each win/loss relation appears in, directly or by inference:
+    // "winner-loser" -> { winner, loser, direct, inferred, via }
+    relationIndex() {
+        if (this.relations) return this.relations;
+        const relations = new Map();
+        const entry = (winner, loser) => {
+            const key = `${winner}-${loser}`;
+            if (!relations.has(key)) relations.set(key, { winner, loser, direct: null, inferred: null, via: null });
+            return relations.get(key);
+        };
+        this.frames.forEach((frame, f) => {
+            (frame.directEdges || frame.edges || []).forEach(([winner, loser]) => {
+                const relation = entry(winner, loser);
+                if (relation.direct === null) relation.direct = f;
+            });
+            const paths = new Map((frame.propagationPaths || []).map(p => [`${p.from}-${p.to}`, p.via]));
+            (frame.inferredEdges || []).forEach(([winner, loser]) => {
+                const relation = entry(winner, loser);
+                if (relation.inferred === null) {
+                    relation.inferred = f;
+                    relation.via = paths.has(`${winner}-${loser}`) ? paths.get(`${winner}-${loser}`) : null;
+                }
+            });
+        });
+        this.relations = relations;
+        return relations;
+    }
+
+    /**
+     * What the trace says about a node up to frame `index`: who it lost to and
+     * beat (each direct or inferred, with the frame it became known), the
+     * transitive ancestors/descendants, and when it was decided.
+     */
+    nodeHistory(id, index = this.currentFrame) {
+        const lostTo = [];
+        const beat = [];
+        const winners = {};
+        const losers = {};
+        this.relationIndex().forEach(relation => {
+            const known = [relation.direct, relation.inferred].filter(f => f !== null && f <= index);
+            if (known.length === 0) return;
+            const direct = relation.direct !== null && relation.direct <= index;
+            const fact = {
+                frame: Math.min(...known),
+                inferred: !direct,
+                via: direct ? null : relation.via
+            };
+            (winners[relation.loser] = winners[relation.loser] || []).push(relation.winner);
+            (losers[relation.winner] = losers[relation.winner] || []).push(relation.loser);
+            if (relation.loser === id) lostTo.push({ id: relation.winner, ...fact });
+            if (relation.winner === id) beat.push({ id: relation.loser, ...fact });
+        });
+
+        const reach = (start, next) => {
+            const seen = new Set();
+            const queue = [...(next[start] || [])];
+            while (queue.length > 0) {
+                const node = queue.shift();
+                if (seen.has(node) || node === id) continue;
+                seen.add(node);
+                queue.push(...(next[node] || []));
+            }
+            return seen;
+        };
+
+        const firstFrame = test => {
+            for (let f = 0; f <= index; f++) {
+                if (test(this.frames[f].nodes[id])) return f;
+            }
+            return null;
+        };
+        const statusClass = node => this.algorithm.statuses[node.status];
+        const byId = (a, b) => a.id - b.id;
+        return {
+            lostTo: lostTo.sort(byId),
+            beat: beat.sort(byId),
+            ancestors: reach(id, winners),
+            descendants: reach(id, losers),
+            lossesReachedK: this.algorithm.showDegrees ? firstFrame(node => node.inDegree >= this.config.k) : null,
+            eliminated: firstFrame(node => statusClass(node) === 'eliminated'),
+            finalized: firstFrame(node => statusClass(node) === 'finalized-top')
+        };
+    }
+
+    updateInspector() {
+        const id = this.inspected;
+        const panel = this.inspector;
+        panel.textContent = '';
+        if (id === null) {
+            panel.hidden = true;
+            this.renderer.setHighlight(null);
+            return;
+        }
+
+        const history = this.nodeHistory(id);
+        this.renderer.setHighlight({ focus: id, ancestors: history.ancestors, descendants: history.descendants });
+
+        const noun = this.noun.charAt(0).toUpperCase() + this.noun.slice(1);
+        const frameName = f => {
+            const frame = this.frames[f];
+            return frame.phase === 'idle' || frame.phase === 'final' ? frame.roundLabel : `${frame.roundLabel} (${frame.phase.replace('_', ' ')})`;
+        };
+        const element = (tag, className, text) => {
+            const el = document.createElement(tag);
+            if (className) el.className = className;
+            if (text !== undefined) el.textContent = text;
+            return el;
+        };
+
+        const header = element('div', 'node-inspector-header');
+        header.appendChild(element('strong', '', `${noun} ${id}`));
+        const cls = this.algorithm.statuses[this.frames[this.currentFrame].nodes[id].status] || 'pending';
+        header.appendChild(element('span', `node-inspector-status ${cls}`, NODE_STATE_NAMES[cls]));
+        const close = element('button', 'node-inspector-close', '×');
+        close.type = 'button';
+        close.setAttribute('aria-label', 'Close inspector');
+        close.addEventListener('click', () => this.inspect(null));
+        header.appendChild(close);
+        panel.appendChild(header);
+        if (this.labels) panel.appendChild(element('p', 'node-inspector-label', String(this.labels[id] ?? '')));
+
+        const summary = [];
+        if (history.lossesReachedK !== null) {
+            summary.push(`Loss count reached ${this.config.k} in ${frameName(history.lossesReachedK)}.`);
+        }
+        if (history.eliminated !== null) summary.push(`Eliminated in ${frameName(history.eliminated)}.`);
+        if (history.finalized !== null) summary.push(`Finalized in the top ${this.config.k} in ${frameName(history.finalized)}.`);
+        if (summary.length > 0) panel.appendChild(element('p', 'node-inspector-summary', summary.join(' ')));
+
+        const lists = element('div', 'node-inspector-lists');
+        [['Lost to', history.lostTo, 'ancestor'], ['Beat', history.beat, 'descendant']].forEach(([title, facts, role]) => {
+            const column = element('div', `node-inspector-column ${role}`);
+            column.appendChild(element('h4', '', `${title} (${facts.length})`));
+            if (facts.length === 0) {
+                column.appendChild(element('p', 'node-inspector-empty', 'None yet'));
+            } else {
+                const list = element('ul');
+                facts.forEach(fact => {
+                    const how = fact.inferred
+                        ? `inferred${fact.via !== null ? ` via ${fact.via}` : ''}`
+                        : 'compared directly';
+                    const item = element('li');
+                    item.appendChild(element('strong', '', String(fact.id)));
+                    item.appendChild(document.createTextNode(` ${how} · ${frameName(fact.frame)}`));
+                    list.appendChild(item);
+                });
+                column.appendChild(list);
+            }
+            lists.appendChild(column);
+        });
+        panel.appendChild(lists);
+        panel.hidden = false;
+    }
+
+    renderFrame(index) {
+        if (index < 0 || index >= this.frames.length) return;
+        const started = performance.now();
+        this.currentFrame = index;
+        const frame = this.frames[index];
+
+        this.renderer.setLabels(frame);
+        this.renderer.updateNodes(this.nodeStates(frame));
+        this.renderer.updateEdges(this.edgeList(frame, index));
+        this.moveNodes(this.layoutPositions(index));
+        if (this.inspected !== null) this.updateInspector();
+        this.recordRenderTime(performance.now() - started);
+
+        // Callback
+        if (this.onFrameChange) {
+            this.onFrameChange(index, this.frames.length, frame, this);
+        }
+    }
+
+    // Plain-language summary of a frame for screen readers, e.g.
+    // "Round 2, compare: horses 6, 7, 8 queried"
+    describeFrame(index = this.currentFrame) {
+        const frame = this.frames[index];
+        const prev = index > 0 ? this.frames[index - 1] : null;
+        const classOf = (f, id) => this.algorithm.statuses[f.nodes[id].status] || 'pending';
+        const named = ids => ids.length === this.config.n && ids.length > 1
+            ? `all ${ids.length} ${this.noun}s`
+            : `${ids.length === 1 ? this.noun : `${this.noun}s`} ${ids.join(', ')}`;
+        const ids = [];
+        for (let i = 1; i <= this.config.n; i++) ids.push(i);
+
+        const parts = [];
+        if (this.algorithm.queryingPhases.includes(frame.phase)) {
+            const queried = new Set([...(frame.queryGroups || []).flat(), ...(frame.window || [])]);
+            if (queried.size > 0) {
+                const verb = frame.phase === 'select' ? 'selected' : 'queried';
+                parts.push(`${named([...queried].sort((a, b) => a - b))} ${verb}`);
+            }
+        }
+        const inferred = (frame.inferredEdges || []).length;
+        if (frame.phase === 'closure' && inferred > 0) {
+            parts.push(`${inferred} ${inferred === 1 ? 'edge' : 'edges'} inferred`);
+        }
+        if (frame.phase === 'update_degrees') parts.push('loss and win counts updated');
+        if (prev) {
+            const became = cls => ids.filter(id => classOf(frame, id) === cls && classOf(prev, id) !== cls);
+            const eliminated = became('eliminated');
+            const top = became('finalized-top');
+            if (eliminated.length > 0) parts.push(`${named(eliminated)} eliminated`);
+            if (top.length > 0) parts.push(`${named(top)} finalized in the top ${this.config.k}`);
+        }
+        if (frame.phase === 'final') {
+            const top = ids.filter(id => classOf(frame, id) === 'finalized-top');
+            return `${frame.roundLabel}. Top ${this.config.k}: ${named(top)}`;
+        }
+
+        const phase = frame.phase === 'idle' ? '' : `, ${frame.phase.replace('_', ' ')}`;
+        const heading = `${frame.roundLabel}${phase}`;
+        return parts.length > 0 ? `${heading}: ${parts.join('; ')}` : heading;
+    }
+
+    // Phase text - educational descriptions (different for each algorithm);
+    // `words` supplies the (possibly marked-up) words for losses/wins
+    phaseCaption(frame, words) {
+        const phaseTexts = this.algorithm.phases(this.config, words);
+        if (!(frame.phase in phaseTexts)) this.reportUnknown('phase', frame.phase);
+        return phaseTexts[frame.phase] || '';
+    }
+
+    // Display class and L/W counts for every node
+    nodeStates(frame) {
+        const marks = this.auditMarks && this.auditMarks.get(this.currentFrame);
+
+        // Collect queried nodes
+        const queriedSet = new Set();
+        if (frame.queryGroups) {
+            frame.queryGroups.forEach(g => g.forEach(id => queriedSet.add(id)));
+        }
+        if (frame.window) {
+            frame.window.forEach(id => queriedSet.add(id));
+        }
+
+        const states = [];
+        for (let i = 1; i <= this.config.n; i++) {
+            const nodeData = frame.nodes[String(i)];
+            if (!nodeData) continue;
+
+            // Determine status class
+            let statusClass = this.algorithm.statuses[nodeData.status];
+            if (!statusClass) {
+                this.reportUnknown('status', nodeData.status);
+                statusClass = 'pending';
+            }
+            if (queriedSet.has(i) && this.algorithm.queryingPhases.includes(frame.phase)) {
+                statusClass = 'querying';
+            }
+
+            const state = {
+                id: i,
+                cls: statusClass,
+                inDegree: 0,
+                outDegree: 0,
+                lossChanged: false,
+                winChanged: false,
+                flagged: Boolean(marks && marks.nodes.has(i))
+            };
+
+            // Degree labels for BlitzRank with change highlighting
+            if (this.algorithm.showDegrees) {
+                const prev = this.prevDegrees[i] || { in: 0, out: 0 };
+                const highlight = frame.phase === 'update_degrees';
+                state.inDegree = nodeData.inDegree;
+                state.outDegree = nodeData.outDegree;
+                state.lossChanged = highlight && nodeData.inDegree !== prev.in;
+                state.winChanged = highlight && nodeData.outDegree !== prev.out;
+
+                // Store current for next frame comparison
+                this.prevDegrees[i] = { in: nodeData.inDegree, out: nodeData.outDegree };
+            }
+            states.push(state);
+        }
+        return states;
+    }
+
+    // Nodes still in play (not eliminated/finalized)
+    activeNodes(frame) {
+        const activeNodes = new Set();
+        for (let i = 1; i <= this.config.n; i++) {
+            const nodeData = frame.nodes[String(i)];
+            if (nodeData && nodeData.status !== 'finalized_out' && nodeData.status !== 'finalized_top') {
+                activeNodes.add(i);
+            }
+        }
+        return activeNodes;
+    }
+
+    /**
+     * Hasse diagram of what is known at frame `index`: the transitive reduction
+     * of the comparisons' closure, restricted to the nodes still in play.
+     * Targets are visited by how many nodes they beat, most first, so a target
+     * reached through a kept edge is already covered by the time it comes up.
+     */
+    hasseEdges(index) {
+        if (this.hasseCache.has(index)) return this.hasseCache.get(index);
+        const frame = this.frames[index];
+        const n = this.config.n;
+        const next = Array.from({ length: n + 1 }, () => []);
+        (frame.directEdges || frame.edges || []).forEach(([winner, loser]) => next[winner].push(loser));
+
+        const beats = [];
+        for (let id = 1; id <= n; id++) {
+            const seen = new Set();
+            const stack = [...next[id]];
+            while (stack.length > 0) {
+                const node = stack.pop();
+                if (seen.has(node)) continue;
+                seen.add(node);
+                stack.push(...next[node]);
+            }
+            seen.delete(id); // inconsistent oracle answers can form cycles
+            beats[id] = seen;
+        }
+
+        const active = this.activeNodes(frame);
+        const edges = [];
+        active.forEach(from => {
+            const covered = new Set();
+            [...beats[from]].filter(to => active.has(to))
+                .sort((a, b) => beats[b].size - beats[a].size || a - b)
+                .forEach(to => {
+                    if (covered.has(to)) return;
+                    edges.push([from, to]);
+                    beats[to].forEach(id => covered.add(id));
+                });
+        });
+        this.hasseCache.set(index, edges);
+        return edges;
+    }
+
+    // Edges to draw for frame `index`, keyed by type and endpoints so renderers
+    // can keep what is already on screen. The edge view picks the base edges:
+    // the trace's own (all), every direct comparison, or the Hasse diagram;
+    // only the first adds inferred edges and propagation pulses.
+    edgeList(frame, index) {
+        const view = this.edgeView;
+        const edges = view === 'hasse' ? this.hasseEdges(index)
+            : view === 'direct' ? frame.directEdges || frame.edges || []
+            : frame.edges || [];
+        const newEdges = frame.newEdges || [];
+        const inferredEdges = view === 'all' ? frame.inferredEdges || [] : [];
+        const propagationPaths = frame.propagationPaths || [];
+        
+        const newEdgeSet = new Set(newEdges.map(e => `${e[0]}-${e[1]}`));
+        const inferredEdgeSet = new Set(inferredEdges.map(e => `${e[0]}-${e[1]}`));
+
+        const activeNodes = this.activeNodes(frame);
+
+        // For per-round traces (e.g. sliding window) during compare phase, treat
+        // all edges as new (cyan) since there's no separate newEdges field
+        const isPerRoundCompare = this.algorithm.edgeMode === 'per_round' &&
+                                  frame.phase === 'compare' &&
+                                  newEdges.length === 0 &&
+                                  edges.length > 0;
+
+        const list = [];
+        const seen = new Set();
+        const add = (from, to, type, delay = 0) => {
+            const key = `${type}:${from}-${to}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+            list.push({ key, from, to, type, delay });
+        };
+
+        // Base edges (minimal/reduced edges from transitive reduction)
+        edges.forEach(([from, to]) => {
+            const key = `${from}-${to}`;
+            // Skip if this will be drawn as new or inferred
+            if (newEdgeSet.has(key) && frame.phase === 'compare') return;
+            if (inferredEdgeSet.has(key) && frame.phase === 'closure') return;
+            
+            // Only draw between active nodes
+            if (!activeNodes.has(from) || !activeNodes.has(to)) return;
+            
+            // For per-round compare phase, draw as new (cyan)
+            add(from, to, isPerRoundCompare ? 'new' : 'old');
+        });
+
+        // New direct comparison edges (cyan); the Hasse view only highlights
+        // those that are part of the reduction
+        if (frame.phase === 'compare' && !isPerRoundCompare) {
+            const shown = view === 'hasse' ? new Set(edges.map(e => `${e[0]}-${e[1]}`)) : null;
+            newEdges.forEach(([from, to]) => {
+                if (!shown || shown.has(`${from}-${to}`)) add(from, to, 'new');
+            });
+        }
+
+        // Inferred edges (orange, dashed) with pulse animation during closure
+        if (frame.phase === 'closure' && inferredEdges.length > 0) {
+            // Propagation path highlights showing how inference works:
+            // A→B→C implies A→C. Skipped when rendering is over budget.
+            if (!this.lowDetail && !reducedMotion.matches) {
+                propagationPaths.forEach(({ from, via, to }, idx) => {
+                    if (!activeNodes.has(from) || !activeNodes.has(via) || !activeNodes.has(to)) return;
+                    add(from, via, 'pulse', idx * 50);
+                    add(via, to, 'pulse', idx * 50 + 100);
+                });
+            }
+            
+            inferredEdges.forEach(([from, to]) => {
+                if (!activeNodes.has(from) || !activeNodes.has(to)) return;
+                add(from, to, 'inferred');
+            });
+        }
+
+        // Edges the trace auditor flagged in this frame, drawn or not
+        const marks = this.auditMarks && this.auditMarks.get(this.currentFrame);
+        if (marks) marks.edges.forEach(([from, to]) => add(from, to, 'audit'));
+        return list;
+    }
+
+    // Loaded traces are validated up front; this catches frames built at runtime
+    reportUnknown(kind, value) {
+        const key = `${kind}:${value}`;
+        if (this.reported.has(key)) return;
+        this.reported.add(key);
+        console.warn(`${this.algorithm.label} frame ${this.currentFrame}: unknown ${kind} ${JSON.stringify(value)}`);
+    }
+
+    // Drop animation extras (pulses, node tweens) while frames take longer
+    // than the budget to render, and restore them once there is headroom
+    recordRenderTime(ms) {
+        this.lastRenderTime = ms;
+        this.renderTime = this.renderTime * 0.7 + ms * 0.3;
+        if (this.renderTime > this.frameBudget) {
+            this.lowDetail = true;
+        } else if (this.renderTime < this.frameBudget / 2) {
+            this.lowDetail = false;
+        }
+    }
+
+    // Quadratic curve between two node circumferences, or null if they overlap
+    edgeGeometry(from, to, type) {
+        const fromPos = this.getNodePosition(from);
+        const toPos = this.getNodePosition(to);
+
+        // Calculate direction
+        const dx = toPos.x - fromPos.x;
+        const dy = toPos.y - fromPos.y;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        if (dist < 1) return null;
+
+        const ux = dx / dist;
+        const uy = dy / dist;
+
+        // Start exactly at circumference
+        const x1 = fromPos.x + ux * this.nodeRadius;
+        const y1 = fromPos.y + uy * this.nodeRadius;
+        
+        // End exactly at circumference
+        const x2 = toPos.x - ux * this.nodeRadius;
+        const y2 = toPos.y - uy * this.nodeRadius;
+
+        // Subtle curve for visual clarity
+        const curve = type === 'new' ? 8 : type === 'inferred' ? 10 : 6;
+        return {
+            x1, y1, x2, y2,
+            cx: (x1 + x2) / 2 - uy * curve,
+            cy: (y1 + y2) / 2 + ux * curve
+        };
+    }
+
+    play() {
+        if (this.isPlaying) return;
+        this.isPlaying = true;
+        if (this.onPlaybackChange) this.onPlaybackChange('play');
+        this.scheduleNextFrame();
+    }
+
+    scheduleNextFrame() {
+        if (!this.isPlaying) return;
+        if (this.currentFrame >= this.frames.length - 1) {
+            this.pause();
+            if (this.onPlaybackChange) this.onPlaybackChange('ended');
+            return;
+        }
+        
+        const delay = this.frameDuration(this.currentFrame);
+        
+        // Time spent rendering counts toward the delay so fast speeds keep pace
+        this.playTimeout = setTimeout(() => {
+            this.renderFrame(this.currentFrame + 1);
+            this.scheduleNextFrame();
+        }, Math.max(0, delay - this.lastRenderTime));
+    }
+
+    // How long a frame stays on screen during playback (also used by exports)
+    frameDuration(index) {
+        // Variable timing: closure/update_degrees phases get extra time
+        const phase = this.frames[index]?.phase;
+        if (phase === 'closure') {
+            return this.speed * 1.5; // 50% more time for inference step
+        } else if (phase === 'update_degrees') {
+            return this.speed * 1.3; // 30% more time to see L/W changes
+        }
+        return this.speed;
+    }
+
+    pause() {
+        const wasPlaying = this.isPlaying;
+        this.isPlaying = false;
+        if (this.playTimeout) {
+            clearTimeout(this.playTimeout);
+            this.playTimeout = null;
+        }
+        if (wasPlaying && this.onPlaybackChange) this.onPlaybackChange('pause');
+    }
+
+    toggle() {
+        if (this.isPlaying) {
+            this.pause();
+        } else {
+            // Restart if at end
+            if (this.currentFrame >= this.frames.length - 1) {
+                this.currentFrame = 0;
+            }
+            this.play();
+        }
+        return this.isPlaying;
+    }
+
+    stepForward() {
+        this.pause();
+        if (this.currentFrame < this.frames.length - 1) {
+            this.renderFrame(this.currentFrame + 1);
+        }
+    }
+
+    stepBackward() {
+        this.pause();
+        if (this.currentFrame > 0) {
+            this.renderFrame(this.currentFrame - 1);
+        }
+    }
+
+    goToFrame(index) {
+        this.pause();
+        this.renderFrame(Math.max(0, Math.min(index, this.frames.length - 1)));
+    }
+
+    reset() {
+        this.pause();
+        this.renderFrame(0);
+    }
+
+    // Frames that begin a new round
+    roundStarts() {
+        return this.rounds.map((round, i) => i).filter(i => i === 0 || this.rounds[i] !== this.rounds[i - 1]);
+    }
+
+    // Jump to the next round, or back to the start of this round (the previous
+    // one when already at its start)
+    stepRound(direction) {
+        this.goToFrame(roundStepTarget(this.roundStarts(), this.currentFrame, direction, this.frames.length - 1));
+    }
+
+    setSpeed(ms) {
+        this.speed = ms;
+        // Speed change takes effect on next frame automatically
+    }
+
+    // Flag the nodes and edges of auditTrace violations (trace-audit.js) on the
+    // frames they concern; null clears the marks
+    setAudit(violations) {
+        this.auditMarks = null;
+        if (violations) {
+            this.auditMarks = new Map();
+            violations.forEach(({ frame, nodes, edges }) => {
+                if (!this.auditMarks.has(frame)) this.auditMarks.set(frame, { nodes: new Set(), edges: [] });
+                const marks = this.auditMarks.get(frame);
+                nodes.forEach(id => marks.nodes.add(id));
+                marks.edges.push(...edges);
+            });
+        }
+        this.renderFrame(this.currentFrame);
+    }
+
+    // Swap in a trace sharing this one's frames so far, e.g. a longer one as a
+    // streamed trace grows; playback carries on into any new frames
+    setFrames(frames) {
+        this.frames = frames;
+        this.data = { ...this.data, frames };
+        this.rounds = roundsReached(frames);
+        this.relations = null;
+        [this.layoutCache, this.hasseCache].forEach(cache => {
+            [...cache.keys()].forEach(index => {
+                if (index >= frames.length) cache.delete(index);
+            });
+        });
+        if (this.currentFrame >= frames.length) this.goToFrame(frames.length - 1);
+        else if (this.inspected !== null) this.updateInspector();
+    }
+
+    destroy() {
+        this.pause();
+        if (this.moveAnimation) cancelAnimationFrame(this.moveAnimation);
+        this.renderer.destroy();
+        this.zoomControls.remove();
+        this.inspector.remove();
+    }
+}
+
+TournamentAnimationPlayer.algorithms = {};
+TournamentAnimationPlayer.canvasEdgeThreshold = 1500;
+
+TournamentAnimationPlayer.registerAlgorithm('blitzrank', {
+    label: 'BlitzRank',
+    phases: ({ k }, { loss, win }) => ({
+        idle: '',
+        select: `Step 1: Select nodes with fewest ${loss}`,
+        compare: 'Step 2: Compare via oracle (LLM)',
+        closure: 'Step 3: Infer edges via transitivity',
+        update_degrees: `Step 4: Update ${loss}/${win} counts`,
+        eliminate: `Step 5: Eliminate nodes with ${loss} ≥ ${k}`,
+        finalize: `Step 6: Finalize top-${k} nodes`,
+        final: ''
+    }),
+    // Queried nodes keep a 'querying' status through closure but are drawn as
+    // pending once queryGroups is cleared
+    statuses: {
+        pending: 'pending',
+        querying: 'pending',
+        finalized_top: 'finalized-top',
+        finalized_out: 'eliminated'
+    },
+    showDegrees: true,
+    edgeMode: 'cumulative',
+    exact: true
+});
+
+TournamentAnimationPlayer.registerAlgorithm('sliding_window', {
+    label: 'Sliding Window',
+    phases: ({ k }) => ({
+        idle: '',
+        select: 'Step 1: Select nodes from the right',
+        compare: 'Step 2: Compare using oracle (LLM)',
+        eliminate: 'Step 3: Eliminate bottom nodes',
+        finalize: `Step 4: Finalize top-${k} nodes`,
+        final: ''
+    }),
+    statuses: {
+        unseen: 'pending',
+        in_window: 'querying',
+        survivor: 'survivor',
+        finalized_top: 'finalized-top',
+        finalized_out: 'eliminated'
+    },
+    exact: true
+});
+
+TournamentAnimationPlayer.registerAlgorithm('tourrank', {
+    label: 'TourRank',
+    phases: ({ k }) => ({
+        idle: '',
+        select: 'Step 1: Split candidates into groups',
+        compare: 'Step 2: Rank each group via oracle (LLM)',
+        eliminate: 'Step 3: Advance the top of each group',
+        finalize: `Step 4: Finalize top-${k} nodes`,
+        final: ''
+    }),
+    statuses: {
+        pending: 'pending',
+        survivor: 'survivor',
+        finalized_top: 'finalized-top',
+        finalized_out: 'eliminated'
+    }
+});
+
+TournamentAnimationPlayer.registerAlgorithm('acurank', {
+    label: 'AcuRank',
+    phases: ({ k }) => ({
+        idle: '',
+        select: 'Step 1: Select the most uncertain nodes',
+        compare: 'Step 2: Compare via oracle (LLM)',
+        update_scores: 'Step 3: Update relevance estimates',
+        eliminate: 'Step 4: Eliminate confidently low nodes',
+        finalize: `Step 5: Finalize confident top-${k} nodes`,
+        final: ''
+    }),
+    statuses: {
+        pending: 'pending',
+        finalized_top: 'finalized-top',
+        finalized_out: 'eliminated'
+    }
+});
+
+TournamentAnimationPlayer.registerAlgorithm('setwise', {
+    label: 'Setwise',
+    phases: ({ k }) => ({
+        idle: '',
+        select: 'Step 1: Pair the current best with new nodes',
+        compare: 'Step 2: Oracle (LLM) picks the best of the set',
+        finalize: 'Step 3: Finalize the winner of this pass',
+        eliminate: `Step 4: Eliminate all but the top-${k}`,
+        final: ''
+    }),
+    statuses: {
+        pending: 'pending',
+        survivor: 'survivor',
+        finalized_top: 'finalized-top',
+        finalized_out: 'eliminated'
+    },
+    exact: true
+});
+
+TournamentAnimationPlayer.registerAlgorithm('pairwise', {
+    label: 'Pairwise',
+    phases: ({ k }) => ({
+        idle: '',
+        select: 'Step 1: Pair the current best with the next node',
+        compare: 'Step 2: Compare the pair via oracle (LLM)',
+        finalize: 'Step 3: Finalize the winner of this pass',
+        eliminate: `Step 4: Eliminate all but the top-${k}`,
+        final: ''
+    }),
+    statuses: {
+        pending: 'pending',
+        survivor: 'survivor',
+        finalized_top: 'finalized-top',
+        finalized_out: 'eliminated'
+    },
+    exact: true
+});
+
+// Round reached by a frame: the last number in its label
+// ("Rounds 1-5" -> 5, "Complete: 7 Rounds" -> 7, "Initial State" -> 0)
+function frameRound(frame) {
+    const numbers = String(frame.roundLabel || '').match(/\d+/g);
+    return numbers ? Number(numbers[numbers.length - 1]) : 0;
+}
+
+// Round reached at each frame, never going back (labels only ever count up)
+function roundsReached(frames) {
+    let round = 0;
+    return frames.map(frame => {
+        round = Math.max(round, frameRound(frame));
+        return round;
+    });
+}
+
+// Where a round step from `position` lands, given the positions that start a round
+function roundStepTarget(starts, position, direction, last) {
+    if (direction > 0) {
+        const next = starts.find(start => start > position);
+        return next === undefined ? last : next;
+    }
+    const previous = starts.filter(start => start < position);
+    return previous.length > 0 ? previous[previous.length - 1] : 0;
+}
+
+/**
+ * Shared timeline for players stepped together by round: one step per round and
+ * phase any of them reaches, as { round, phase, frames: [frame index per player] }.
+ * A player without that phase holds its latest frame, so one that has finished
+ * waits on its final frame while the others catch up.
+ */
+function roundTimeline(players) {
+    // round -> per player, Map of 'phase#occurrence' -> frame index in trace order
+    const rounds = new Map();
+    players.forEach((player, i) => {
+        const counts = new Map();
+        player.frames.forEach((frame, index) => {
+            const round = player.rounds[index];
+            if (!rounds.has(round)) rounds.set(round, players.map(() => new Map()));
+            const occurrence = `${round}:${frame.phase}`;
+            counts.set(occurrence, (counts.get(occurrence) || 0) + 1);
+            rounds.get(round)[i].set(`${frame.phase}#${counts.get(occurrence)}`, index);
+        });
+    });
+
+    const steps = [];
+    const held = players.map(() => 0);
+    [...rounds.keys()].sort((a, b) => a - b).forEach(round => {
+        const phaseKeys = rounds.get(round);
+        // Merge the players' phase orders, e.g. select/compare/eliminate with
+        // select/compare/closure/update_degrees/eliminate
+        const order = [];
+        phaseKeys.forEach(keys => {
+            let at = 0;
+            keys.forEach((index, key) => {
+                const found = order.indexOf(key);
+                if (found >= 0) at = found + 1;
+                else order.splice(at++, 0, key);
+            });
+        });
+        order.forEach(key => {
+            phaseKeys.forEach((keys, i) => {
+                if (keys.has(key)) held[i] = keys.get(key);
+            });
+            steps.push({ round, phase: key.split('#')[0], frames: [...held] });
+        });
+    });
+    return steps;
+}
+
+/**
+ * Drives several players through a roundTimeline so they always show the same
+ * round. Has the player's playback methods, so the shared controls can drive
+ * either; positions are step indices rather than frame indices.
+ */
+export class RoundSync {
+    constructor(players) {
+        this.players = players;
+        this.steps = roundTimeline(players);
+        this.current = 0;
+        this.isPlaying = false;
+        this.playTimeout = null;
+        this.onPlaybackChange = null; // ('play' | 'pause' | 'ended'), as on a player
+    }
+
+    get lastStep() {
+        return this.steps.length - 1;
+    }
+
+    renderStep(index) {
+        this.current = index;
+        const frames = this.steps[index].frames;
+        this.players.forEach((player, i) => {
+            if (player.currentFrame !== frames[i]) player.renderFrame(frames[i]);
+        });
+    }
+
+    play() {
+        if (this.isPlaying) return;
+        this.isPlaying = true;
+        if (this.onPlaybackChange) this.onPlaybackChange('play');
+        this.scheduleNextStep();
+    }
+
+    scheduleNextStep() {
+        if (!this.isPlaying) return;
+        if (this.current >= this.lastStep) {
+            this.pause();
+            if (this.onPlaybackChange) this.onPlaybackChange('ended');
+            return;
+        }
+
+        // A step stays up as long as the slowest frame it brought in
+        const frames = this.steps[this.current].frames;
+        const before = this.current > 0 ? this.steps[this.current - 1].frames : [];
+        const entered = this.players.filter((player, i) => frames[i] !== before[i]);
+        const delay = Math.max(...(entered.length > 0 ? entered : this.players)
+            .map(player => player.frameDuration(player.currentFrame)));
+        const rendering = Math.max(...this.players.map(player => player.lastRenderTime));
+
+        this.playTimeout = setTimeout(() => {
+            this.renderStep(this.current + 1);
+            this.scheduleNextStep();
+        }, Math.max(0, delay - rendering));
+    }
+
+    pause() {
+        const wasPlaying = this.isPlaying;
+        this.isPlaying = false;
+        if (this.playTimeout) {
+            clearTimeout(this.playTimeout);
+            this.playTimeout = null;
+        }
+        this.players.forEach(player => player.pause());
+        if (wasPlaying && this.onPlaybackChange) this.onPlaybackChange('pause');
+    }
+
+    stepForward() {
+        this.pause();
+        if (this.current < this.lastStep) this.renderStep(this.current + 1);
+    }
+
+    stepBackward() {
+        this.pause();
+        if (this.current > 0) this.renderStep(this.current - 1);
+    }
+
+    goToFrame(index) {
+        this.pause();
+        this.renderStep(Math.max(0, Math.min(index, this.lastStep)));
+    }
+
+    reset() {
+        this.goToFrame(0);
+    }
+
+    // Steps that begin a new round
+    roundStarts() {
+        return this.steps.map((step, i) => i).filter(i => i === 0 || this.steps[i].round !== this.steps[i - 1].round);
+    }
+
+    stepRound(direction) {
+        this.goToFrame(roundStepTarget(this.roundStarts(), this.current, direction, this.lastStep));
+    }
+
+    setSpeed(ms) {
+        this.players.forEach(player => player.setSpeed(ms));
+    }
+}
+
+/**
+ * Edge views: which edges edgeList() draws. 'all' is the trace's own edge set
+ * with inferred edges and pulses during closure; 'direct' draws every direct
+ * comparison so far; 'hasse' the transitive reduction of what is known.
+ */
+TournamentAnimationPlayer.edgeViews = {
+    all: { label: 'All edges' },
+    direct: { label: 'Direct comparisons' },
+    hasse: { label: 'Hasse diagram' }
+};
+
+/**
+ * Node layouts. positions() returns { id: { x, y } } inside the player's
+ * width x height drawing area (the round and phase labels occupy the top 60px).
+ * Positions are computed once per frame and tweened between frames.
+ */
+TournamentAnimationPlayer.layouts = {};
+
+TournamentAnimationPlayer.registerLayout('grid', {
+    label: 'Grid',
+    positions: (player) => {
+        const positions = {};
+        for (let i = 1; i <= player.config.n; i++) positions[i] = player.gridPosition(i);
+        return positions;
+    }
+});
+
+// Stack `rows` (arrays of ids, top to bottom) into the drawing area, wrapping
+// long rows and squeezing row spacing so everything stays in view
+function layoutRows(player, rows) {
+    const { cols, spacing, width, height } = player;
+    const lines = [];
+    rows.filter(row => row.length > 0).forEach(row => {
+        for (let i = 0; i < row.length; i += cols) lines.push(row.slice(i, i + cols));
+    });
+    const top = 80;
+    const step = lines.length > 1 ? Math.min(spacing, (height - top - 30) / (lines.length - 1)) : 0;
+    // Once rows overlap, stagger alternate rows by half a column
+    const stagger = step < player.nodeRadius * 2 ? spacing / 4 : 0;
+    const positions = {};
+    lines.forEach((line, r) => {
+        const offset = (width - line.length * spacing) / 2 + spacing / 2 + (r % 2 ? stagger : -stagger);
+        line.forEach((id, c) => {
+            positions[id] = { x: offset + c * spacing, y: top + r * step };
+        });
+    });
+    return positions;
+}
+
+// Rows ordered by how far each node is from the top-k: L count for
+// degree-tracking algorithms, otherwise finalized/pending/eliminated bands
+TournamentAnimationPlayer.registerLayout('layered-losses', {
+    label: 'Layered by losses',
+    positions: (player, frame) => {
+        const { n, k } = player.config;
+        const band = { 'finalized-top': 0, eliminated: 2 };
+        const rows = [];
+        for (let id = 1; id <= n; id++) {
+            const node = frame.nodes[id];
+            const status = player.algorithm.statuses[node.status];
+            let row;
+            if (player.algorithm.showDegrees) {
+                row = status === 'finalized-top' ? 0 : 1 + Math.min(node.inDegree, k);
+            } else {
+                row = status in band ? band[status] : 1;
+            }
+            (rows[row] = rows[row] || []).push(id);
+        }
+        return layoutRows(player, Array.from(rows, row => row || []));
+    }
+});
+
+// Rows by longest chain of known wins above each node (Hasse-style depth)
+TournamentAnimationPlayer.registerLayout('layered-depth', {
+    label: 'Layered by depth',
+    positions: (player, frame) => {
+        const n = player.config.n;
+        const beatenBy = Array.from({ length: n + 1 }, () => []);
+        (frame.directEdges || frame.edges).forEach(([winner, loser]) => beatenBy[loser].push(winner));
+
+        const depth = new Array(n + 1).fill(-1);
+        const visiting = new Set();
+        const depthOf = (id) => {
+            if (depth[id] >= 0) return depth[id];
+            if (visiting.has(id)) return 0; // inconsistent oracle answers can form cycles
+            visiting.add(id);
+            depth[id] = beatenBy[id].reduce((d, w) => Math.max(d, depthOf(w) + 1), 0);
+            visiting.delete(id);
+            return depth[id];
+        };
+
+        const rows = [];
+        for (let id = 1; id <= n; id++) (rows[depthOf(id)] = rows[depthOf(id)] || []).push(id);
+        return layoutRows(player, Array.from(rows, row => row || []));
+    }
+});
+
+// Deterministic force-directed layout: Fruchterman-Reingold seeded from the
+// grid, scaled into the drawing area, then overlapping nodes pushed apart
+TournamentAnimationPlayer.registerLayout('force', {
+    label: 'Force-directed',
+    positions: (player, frame) => {
+        const n = player.config.n;
+        const margin = player.nodeRadius + 12;
+        const bounds = { left: margin, right: player.width - margin, top: 60 + margin, bottom: player.height - margin };
+        const clamp = (p) => {
+            p.x = Math.max(bounds.left, Math.min(bounds.right, p.x));
+            p.y = Math.max(bounds.top, Math.min(bounds.bottom, p.y));
+        };
+        let pos = [];
+        for (let i = 1; i <= n; i++) pos[i] = { ...player.gridPosition(i) };
+        const ideal = Math.sqrt((bounds.right - bounds.left) * (bounds.bottom - bounds.top) / n);
+        const iterations = Math.max(30, Math.min(150, Math.round(3000 / n)));
+        let temperature = player.spacing;
+
+        for (let iter = 0; iter < iterations; iter++) {
+            const disp = [];
+            for (let i = 1; i <= n; i++) disp[i] = { x: 0, y: 0 };
+            for (let a = 1; a <= n; a++) {
+                for (let b = a + 1; b <= n; b++) {
+                    const dx = pos[a].x - pos[b].x || 0.01;
+                    const dy = pos[a].y - pos[b].y;
+                    const dist = Math.max(0.01, Math.sqrt(dx * dx + dy * dy));
+                    const force = ideal * ideal / dist;
+                    disp[a].x += dx / dist * force; disp[a].y += dy / dist * force;
+                    disp[b].x -= dx / dist * force; disp[b].y -= dy / dist * force;
+                }
+            }
+            frame.edges.forEach(([a, b]) => {
+                const dx = pos[a].x - pos[b].x;
+                const dy = pos[a].y - pos[b].y;
+                const dist = Math.max(0.01, Math.sqrt(dx * dx + dy * dy));
+                const force = dist * dist / ideal;
+                disp[a].x -= dx / dist * force; disp[a].y -= dy / dist * force;
+                disp[b].x += dx / dist * force; disp[b].y += dy / dist * force;
+            });
+            for (let i = 1; i <= n; i++) {
+                const len = Math.max(0.01, Math.sqrt(disp[i].x ** 2 + disp[i].y ** 2));
+                pos[i].x += disp[i].x / len * Math.min(len, temperature);
+                pos[i].y += disp[i].y / len * Math.min(len, temperature);
+            }
+            temperature *= 0.95;
+        }
+
+        const xs = pos.slice(1).map(p => p.x);
+        const ys = pos.slice(1).map(p => p.y);
+        const minX = Math.min(...xs), spanX = Math.max(...xs) - minX || 1;
+        const minY = Math.min(...ys), spanY = Math.max(...ys) - minY || 1;
+        pos = pos.map(p => ({
+            x: bounds.left + (p.x - minX) / spanX * (bounds.right - bounds.left),
+            y: bounds.top + (p.y - minY) / spanY * (bounds.bottom - bounds.top)
+        }));
+
+        const minGap = player.nodeRadius * 2 + 6;
+        for (let pass = 0; pass < 50; pass++) {
+            let moved = false;
+            for (let a = 1; a <= n; a++) {
+                for (let b = a + 1; b <= n; b++) {
+                    const dx = pos[a].x - pos[b].x || 0.01;
+                    const dy = pos[a].y - pos[b].y;
+                    const dist = Math.sqrt(dx * dx + dy * dy);
+                    if (dist >= minGap) continue;
+                    const push = (minGap - dist) / 2 / dist;
+                    pos[a].x += dx * push; pos[a].y += dy * push;
+                    pos[b].x -= dx * push; pos[b].y -= dy * push;
+                    clamp(pos[a]);
+                    clamp(pos[b]);
+                    moved = true;
+                }
+            }
+            if (!moved) break;
+        }
+
+        const positions = {};
+        for (let i = 1; i <= n; i++) positions[i] = pos[i];
+        return positions;
+    }
+});
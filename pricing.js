@@ -0,0 +1,145 @@
+/**
+ * Pricing - per-oracle token prices for the Pareto chart's dollar-cost axes.
+ * Prices are editable in the page, kept in localStorage and exchanged as JSON:
+ *   { outputShare, models: { "<model key>": { input, output } } }
+ * with input/output in USD per million tokens. The plot data only records total
+ * tokens per query, so `outputShare` is the fraction of them billed as output.
+ */
+
+import { SchemaError, createIssueList } from './data-schema.js';
+
+const PRICES_KEY = 'blitzrank.prices';
+
+// List prices at publication time; edit them to match your provider or contract
+export const DEFAULT_PRICES = {
+    outputShare: 0.05,
+    models: {
+        'gpt-4.1': { input: 2.00, output: 8.00 },
+        'gemini-3-flash': { input: 0.50, output: 3.00 },
+        'glm': { input: 0.60, output: 2.20 },
+        'qwen': { input: 0.22, output: 0.88 },
+        'deepseek': { input: 0.28, output: 0.42 }
+    }
+};
+
+/**
+ * X axes the Pareto chart can plot. `scale(price, outputShare)` turns thousands
+ * of tokens per query into the axis unit; `hover` replaces the tokens line of a
+ * trace's hover template.
+ */
+export const COST_AXES = {
+    tokens: {
+        label: 'Tokens/query',
+        title: 'Avg. Tokens/Query (k)',
+        hover: 'Tokens/Query: %{x:.1f}k',
+        scale: () => 1
+    },
+    usd: {
+        label: 'USD/query',
+        title: 'Est. USD/Query',
+        hover: 'Est. USD/Query: $%{x:.4f}',
+        scale: (price, outputShare) => 1000 * blendedPrice(price, outputShare) / 1e6
+    },
+    usd1k: {
+        label: 'USD/1k queries',
+        title: 'Est. USD per 1k Queries',
+        hover: 'Est. USD/1k Queries: $%{x:.2f}',
+        scale: (price, outputShare) => 1000 * 1000 * blendedPrice(price, outputShare) / 1e6
+    }
+};
+
+// USD per million tokens with `outputShare` of them billed at the output price
+function blendedPrice(price, outputShare) {
+    return (1 - outputShare) * price.input + outputShare * price.output;
+}
+
+// Check a price table; returns the issues found
+function validatePrices(data, plotData) {
+    const issues = createIssueList();
+    const isPrice = v => typeof v === 'number' && Number.isFinite(v) && v >= 0;
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+        issues.add('', 'expected a JSON object');
+        return issues;
+    }
+    if (typeof data.outputShare !== 'number' || !(data.outputShare >= 0 && data.outputShare <= 1)) {
+        issues.add('outputShare', `expected a fraction between 0 and 1, got ${JSON.stringify(data.outputShare)}`);
+    }
+    if (data.models === null || typeof data.models !== 'object') {
+        issues.add('models', 'missing or not an object');
+        return issues;
+    }
+    Object.entries(data.models).forEach(([key, price]) => {
+        const at = `models["${key}"]`;
+        if (!plotData.models[key]) issues.add(at, `unknown model (expected one of ${Object.keys(plotData.models).join(', ')})`);
+        ['input', 'output'].forEach(field => {
+            if (!price || !isPrice(price[field])) issues.add(`${at}.${field}`, `expected USD per million tokens, got ${JSON.stringify(price && price[field])}`);
+        });
+    });
+    return issues;
+}
+
+// Parse imported price JSON; models it leaves out keep their current prices
+export function parsePrices(text, plotData, current, source = 'Price table') {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error(`${source}: invalid JSON (${e.message})`);
+    }
+    const issues = validatePrices(data, plotData);
+    if (issues.length > 0) throw new SchemaError(source, issues);
+    return { outputShare: data.outputShare, models: { ...current.models, ...data.models } };
+}
+
+// Saved prices over the defaults; anything unreadable falls back to the defaults
+export function loadPrices(plotData) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(PRICES_KEY) || 'null');
+        if (saved && validatePrices(saved, plotData).length === 0) {
+            return { outputShare: saved.outputShare, models: { ...DEFAULT_PRICES.models, ...saved.models } };
+        }
+    } catch (e) {
+        // fall through to the defaults
+    }
+    return { outputShare: DEFAULT_PRICES.outputShare, models: { ...DEFAULT_PRICES.models } };
+}
+
+export function savePrices(prices) {
+    try {
+        localStorage.setItem(PRICES_KEY, JSON.stringify(prices));
+    } catch (e) {
+        console.warn('Could not save the price table:', e);
+    }
+}
+
+/**
+ * Plot data with every trace's x values converted to `axis` and its hover text
+ * and axis title to match. On a USD axis a model without a price has no points.
+ */
+export function withCostAxis(plotData, axis, prices) {
+    const spec = COST_AXES[axis] || COST_AXES.tokens;
+    if (spec === COST_AXES.tokens) return plotData;
+    const models = {};
+    Object.entries(plotData.models).forEach(([key, model]) => {
+        const price = prices.models[key];
+        if (!price) {
+            models[key] = { ...model, data: [] };
+            return;
+        }
+        const factor = spec.scale(price, prices.outputShare);
+        models[key] = {
+            ...model,
+            data: model.data.map(trace => ({
+                ...trace,
+                x: trace.x.map(x => (x === null ? null : x * factor)),
+                ...(trace.hovertemplate ? { hovertemplate: trace.hovertemplate.replace(/Tokens\/Query: %\{x[^}]*\}k/, spec.hover) } : {})
+            }))
+        };
+    });
+    const xaxis = plotData.layout.xaxis || {};
+    return {
+        ...plotData,
+        models,
+        layout: { ...plotData.layout, xaxis: { ...xaxis, title: { ...(xaxis.title || {}), text: spec.title } } }
+    };
+}
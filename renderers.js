@@ -0,0 +1,588 @@
+/**
+ * Tournament Renderers - draw TournamentAnimationPlayer frames
+ *
+ * Both renderers take what the player has already worked out for a frame
+ * (labels, per-node state, a keyed edge list) and only touch what changed:
+ *   mount()            - create the drawing surface in the player's container
+ *   setLabels(frame)   - round label and phase caption
+ *   updateNodes(nodes) - [{ id, cls, inDegree, outDegree, lossChanged, winChanged, flagged }]
+ *   updateEdges(edges) - [{ key, from, to, type, delay }], type is old/new/inferred/pulse/audit
+ *   updatePositions()  - redraw after player.positions moved
+ *   applyZoom(zoom)    - { scale, x, y } applied below the labels
+ *   setHighlight(h)    - { focus, ancestors, descendants } from the node inspector, or null
+ *   focusNode(id)      - move keyboard focus to a node (no-op where nodes aren't focusable)
+ *   destroy()
+ */
+
+import { onThemeChange } from './theme.js';
+
+export const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Draw order, bottom to top
+const EDGE_TYPES = ['old', 'new', 'pulse', 'inferred', 'audit'];
+
+// Node states in words (tooltips, narration)
+export const NODE_STATE_NAMES = {
+    pending: 'pending',
+    querying: 'being compared',
+    survivor: 'survivor',
+    'finalized-top': 'in the top-k',
+    eliminated: 'eliminated'
+};
+
+// Shape cues so node state doesn't rely on color alone: a ring around
+// querying/survivor nodes (see player.css) plus these marks
+const NODE_MARKS = {
+    'finalized-top': 'M 10 -16 l 3 4 l 7 -9', // check mark
+    eliminated: 'M -13 13 L 13 -13'           // strike-through
+};
+
+/**
+ * Keyed SVG renderer: one element per node and per edge key, created and
+ * removed as keys come and go rather than rebuilt every frame
+ */
+export class SvgTournamentRenderer {
+    constructor(player) {
+        this.player = player;
+        this.element = null;
+        this.nodeElements = {};
+        this.nodeState = {};
+        this.edgeLayers = {};
+        this.edgeElements = new Map(); // key -> { path, from, to, type }
+        this.highlight = null;
+    }
+
+    mount() {
+        const { width, height, container } = this.player;
+        const svg = document.createElementNS(SVG_NS, 'svg');
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        svg.setAttribute('class', 'tournament-svg');
+        svg.setAttribute('role', 'group');
+        svg.setAttribute('aria-label', `${this.player.algorithm.label} animation`);
+        container.appendChild(svg);
+        this.element = svg;
+
+        // Defs for arrowheads: new, old (very small), inferred, and audit (edges
+        // the trace auditor flagged); player.css colors them like their edges
+        const defs = document.createElementNS(SVG_NS, 'defs');
+        [['new', 5], ['old', 3], ['inferred', 4], ['audit', 4]].forEach(([type, size]) => {
+            const marker = document.createElementNS(SVG_NS, 'marker');
+            marker.setAttribute('id', `arrow-${type}-${container.id}`);
+            marker.setAttribute('viewBox', '0 0 10 10');
+            marker.setAttribute('refX', '10');
+            marker.setAttribute('refY', '5');
+            marker.setAttribute('markerWidth', size);
+            marker.setAttribute('markerHeight', size);
+            marker.setAttribute('orient', 'auto-start-reverse');
+            const path = document.createElementNS(SVG_NS, 'path');
+            path.setAttribute('d', 'M 0 1 L 10 5 L 0 9 z');
+            path.setAttribute('class', `arrowhead ${type}`);
+            marker.appendChild(path);
+            defs.appendChild(marker);
+        });
+        svg.appendChild(defs);
+
+        // Round label
+        this.labelElement = document.createElementNS(SVG_NS, 'text');
+        this.labelElement.setAttribute('x', width / 2);
+        this.labelElement.setAttribute('y', '28');
+        this.labelElement.setAttribute('class', 'round-label');
+        svg.appendChild(this.labelElement);
+
+        // Phase label
+        this.phaseElement = document.createElementNS(SVG_NS, 'text');
+        this.phaseElement.setAttribute('x', width / 2);
+        this.phaseElement.setAttribute('y', '48');
+        this.phaseElement.setAttribute('class', 'phase-label');
+        svg.appendChild(this.phaseElement);
+
+        // Zoom/pan viewport - labels above stay fixed
+        this.viewport = document.createElementNS(SVG_NS, 'g');
+        this.viewport.setAttribute('class', 'viewport');
+        svg.appendChild(this.viewport);
+
+        // Create nodes first (so edges can be drawn on top)
+        const nodeGroup = document.createElementNS(SVG_NS, 'g');
+        nodeGroup.setAttribute('class', 'nodes');
+        for (let i = 1; i <= this.player.config.n; i++) {
+            nodeGroup.appendChild(this.createNode(i));
+        }
+        this.viewport.appendChild(nodeGroup);
+
+        // One group per edge type keeps the stacking order stable as edges come and go
+        const edgeGroup = document.createElementNS(SVG_NS, 'g');
+        edgeGroup.setAttribute('class', 'edges');
+        EDGE_TYPES.forEach(type => {
+            this.edgeLayers[type] = document.createElementNS(SVG_NS, 'g');
+            edgeGroup.appendChild(this.edgeLayers[type]);
+        });
+        this.viewport.appendChild(edgeGroup);
+    }
+
+    createNode(id) {
+        const { nodeRadius } = this.player;
+        const pos = this.player.getNodePosition(id);
+        const g = document.createElementNS(SVG_NS, 'g');
+        g.setAttribute('class', 'node');
+        g.setAttribute('data-id', id);
+        g.setAttribute('transform', `translate(${pos.x}, ${pos.y})`);
+        // Focusable one at a time (roving tabindex); Enter opens the inspector
+        g.setAttribute('role', 'button');
+        g.setAttribute('tabindex', id === 1 ? '0' : '-1');
+
+        const title = document.createElementNS(SVG_NS, 'title');
+        g.appendChild(title);
+
+        const ring = document.createElementNS(SVG_NS, 'circle');
+        ring.setAttribute('r', nodeRadius + 4);
+        ring.setAttribute('class', 'node-ring');
+        g.appendChild(ring);
+
+        const circle = document.createElementNS(SVG_NS, 'circle');
+        circle.setAttribute('r', nodeRadius);
+        circle.setAttribute('class', 'node-circle');
+        g.appendChild(circle);
+
+        const text = document.createElementNS(SVG_NS, 'text');
+        text.setAttribute('class', this.player.labels ? 'node-id node-snippet' : 'node-id');
+        text.setAttribute('dy', '0.35em');
+        text.textContent = this.player.nodeLabel(id);
+        g.appendChild(text);
+
+        const mark = document.createElementNS(SVG_NS, 'path');
+        mark.setAttribute('class', 'node-mark');
+        g.appendChild(mark);
+
+        const entry = { g, title, mark };
+        // Degree labels (for BlitzRank)
+        if (this.player.algorithm.showDegrees) {
+            entry.loss = document.createElementNS(SVG_NS, 'text');
+            entry.loss.setAttribute('class', 'degree-label loss');
+            entry.loss.setAttribute('x', -10);
+            entry.loss.setAttribute('y', nodeRadius + 12);
+            entry.loss.textContent = '0';
+            g.appendChild(entry.loss);
+
+            entry.win = document.createElementNS(SVG_NS, 'text');
+            entry.win.setAttribute('class', 'degree-label win');
+            entry.win.setAttribute('x', 10);
+            entry.win.setAttribute('y', nodeRadius + 12);
+            entry.win.textContent = '0';
+            g.appendChild(entry.win);
+        }
+        this.nodeElements[id] = entry;
+        this.nodeState[id] = { id, cls: '', inDegree: 0, outDegree: 0, lossChanged: false, winChanged: false, flagged: false };
+        return g;
+    }
+
+    setLabels(frame) {
+        if (this.labelElement.textContent !== frame.roundLabel) {
+            this.labelElement.textContent = frame.roundLabel;
+        }
+        // Colored tspans (.loss/.win in player.css) for the losses/wins placeholders
+        const phase = this.player.phaseCaption(frame, { loss: '{loss}', win: '{win}' });
+        if (phase === this.phaseText) return;
+        this.phaseText = phase;
+        this.phaseElement.textContent = '';
+        phase.split(/(\{loss\}|\{win\})/).forEach(part => {
+            if (part === '{loss}' || part === '{win}') {
+                const tspan = document.createElementNS(SVG_NS, 'tspan');
+                tspan.setAttribute('class', part === '{loss}' ? 'loss' : 'win');
+                tspan.textContent = part === '{loss}' ? 'losses' : 'wins';
+                this.phaseElement.appendChild(tspan);
+            } else if (part) {
+                this.phaseElement.appendChild(document.createTextNode(part));
+            }
+        });
+    }
+
+    updateNodes(nodes) {
+        nodes.forEach(node => {
+            const el = this.nodeElements[node.id];
+            const prev = this.nodeState[node.id];
+            if (node.cls !== prev.cls || node.flagged !== prev.flagged) {
+                el.g.setAttribute('class', this.nodeClass(node));
+                el.title.textContent = `${this.player.nodeName(node.id)}: ${NODE_STATE_NAMES[node.cls]}${node.flagged ? ' (flagged by the audit)' : ''}`;
+                el.mark.setAttribute('d', NODE_MARKS[node.cls] || '');
+            }
+            if (el.loss) {
+                if (node.inDegree !== prev.inDegree) el.loss.textContent = node.inDegree;
+                if (node.lossChanged !== prev.lossChanged) el.loss.classList.toggle('changed', node.lossChanged);
+                if (node.outDegree !== prev.outDegree) el.win.textContent = node.outDegree;
+                if (node.winChanged !== prev.winChanged) el.win.classList.toggle('changed', node.winChanged);
+            }
+            this.nodeState[node.id] = node;
+        });
+    }
+
+    // Status class plus the node's role in the inspector highlight and any audit flag
+    nodeClass({ id, cls, flagged }) {
+        const classes = ['node', cls];
+        const h = this.highlight;
+        if (h) {
+            classes.push(id === h.focus ? 'inspected'
+                : h.ancestors.has(id) ? 'ancestor'
+                : h.descendants.has(id) ? 'descendant'
+                : 'unrelated');
+        }
+        if (flagged) classes.push('audit-flagged');
+        return classes.join(' ');
+    }
+
+    setHighlight(highlight) {
+        this.highlight = highlight;
+        this.element.classList.toggle('inspecting', highlight !== null);
+        Object.entries(this.nodeElements).forEach(([id, el]) => {
+            el.g.setAttribute('class', this.nodeClass(this.nodeState[id]));
+        });
+    }
+
+    focusNode(id) {
+        Object.entries(this.nodeElements).forEach(([other, el]) => {
+            el.g.setAttribute('tabindex', Number(other) === id ? '0' : '-1');
+        });
+        this.nodeElements[id].g.focus();
+    }
+
+    updateEdges(edges) {
+        const stale = new Set(this.edgeElements.keys());
+        edges.forEach(edge => {
+            if (stale.delete(edge.key)) return;
+            const path = this.createEdge(edge);
+            if (!path) return;
+            this.edgeLayers[edge.type].appendChild(path);
+            this.edgeElements.set(edge.key, { path, from: edge.from, to: edge.to, type: edge.type });
+        });
+        stale.forEach(key => {
+            this.edgeElements.get(key).path.remove();
+            this.edgeElements.delete(key);
+        });
+    }
+
+    createEdge({ from, to, type, delay }) {
+        const d = this.pathData(from, to, type);
+        if (!d) return null;
+        const path = document.createElementNS(SVG_NS, 'path');
+        path.setAttribute('d', d);
+        path.setAttribute('class', `edge ${type}`);
+        // Pulse edges highlight existing paths, no marker needed
+        if (type === 'pulse') {
+            if (delay > 0) path.style.animationDelay = `${delay}ms`;
+        } else {
+            path.setAttribute('marker-end', `url(#arrow-${type}-${this.player.container.id})`);
+        }
+        return path;
+    }
+
+    pathData(from, to, type) {
+        const curve = this.player.edgeGeometry(from, to, type);
+        if (!curve) return null;
+        return `M ${curve.x1} ${curve.y1} Q ${curve.cx} ${curve.cy} ${curve.x2} ${curve.y2}`;
+    }
+
+    updatePositions() {
+        for (let i = 1; i <= this.player.config.n; i++) {
+            const pos = this.player.getNodePosition(i);
+            this.nodeElements[i].g.setAttribute('transform', `translate(${pos.x}, ${pos.y})`);
+        }
+        this.edgeElements.forEach(({ path, from, to, type }) => {
+            const d = this.pathData(from, to, type);
+            if (d) path.setAttribute('d', d);
+        });
+    }
+
+    applyZoom({ scale, x, y }) {
+        this.viewport.setAttribute('transform', `translate(${x} ${y}) scale(${scale})`);
+    }
+
+    destroy() {
+        this.element.remove();
+    }
+}
+
+/**
+ * Canvas renderer for traces with thousands of edges. Colors come from the
+ * same stylesheet rules as the SVG renderer, read again when the page theme
+ * changes; edges are stroked in one batch per type and the whole scene is
+ * redrawn at most once per animation frame.
+ */
+export class CanvasTournamentRenderer {
+    constructor(player) {
+        this.player = player;
+        this.element = null;
+        this.nodes = [];
+        this.edges = [];
+        this.labels = { round: '', phase: '' };
+        this.zoom = { scale: 1, x: 0, y: 0 };
+        this.highlight = null;
+        this.drawRequest = null;
+    }
+
+    mount() {
+        const { width, height, container } = this.player;
+        this.ratio = window.devicePixelRatio || 1;
+        const canvas = document.createElement('canvas');
+        canvas.className = 'tournament-canvas';
+        canvas.width = width * this.ratio;
+        canvas.height = height * this.ratio;
+        canvas.setAttribute('role', 'img');
+        canvas.setAttribute('aria-label', `${this.player.algorithm.label} animation`);
+        container.appendChild(canvas);
+        this.element = canvas;
+        this.context = canvas.getContext('2d');
+        this.styles = this.readStyles();
+        this.stopThemeListener = onThemeChange(() => {
+            this.styles = this.readStyles();
+            this.requestDraw();
+        });
+    }
+
+    // Resolve node and edge colors from the .tournament-svg rules in player.css
+    readStyles() {
+        const probe = document.createElementNS(SVG_NS, 'svg');
+        probe.setAttribute('class', 'tournament-svg');
+        probe.style.position = 'absolute';
+        probe.style.visibility = 'hidden';
+        probe.style.width = '0';
+        probe.style.height = '0';
+        this.player.container.appendChild(probe);
+
+        const read = (el) => {
+            const style = getComputedStyle(el);
+            return {
+                fill: style.fill,
+                stroke: style.stroke,
+                width: parseFloat(style.strokeWidth) || 1,
+                opacity: style.opacity === '' ? 1 : parseFloat(style.opacity)
+            };
+        };
+        const styles = { nodes: {}, edges: {}, degrees: {}, highlight: {} };
+        ['pending', 'querying', 'survivor', 'finalized-top', 'eliminated'].forEach(cls => {
+            const g = document.createElementNS(SVG_NS, 'g');
+            g.setAttribute('class', `node ${cls}`);
+            const circle = document.createElementNS(SVG_NS, 'circle');
+            circle.setAttribute('class', 'node-circle');
+            const text = document.createElementNS(SVG_NS, 'text');
+            text.setAttribute('class', 'node-id');
+            g.append(circle, text);
+            probe.appendChild(g);
+            styles.nodes[cls] = { circle: read(circle), text: read(text) };
+        });
+        EDGE_TYPES.forEach(type => {
+            const path = document.createElementNS(SVG_NS, 'path');
+            path.setAttribute('class', `edge ${type}`);
+            probe.appendChild(path);
+            styles.edges[type] = read(path);
+        });
+        ['loss', 'win', 'loss changed', 'win changed'].forEach(cls => {
+            const text = document.createElementNS(SVG_NS, 'text');
+            text.setAttribute('class', `degree-label ${cls}`);
+            probe.appendChild(text);
+            styles.degrees[cls.replace(' changed', 'Changed')] = read(text).fill;
+        });
+        ['inspected', 'ancestor', 'descendant'].forEach(role => {
+            const g = document.createElementNS(SVG_NS, 'g');
+            g.setAttribute('class', `node pending ${role}`);
+            const circle = document.createElementNS(SVG_NS, 'circle');
+            circle.setAttribute('class', 'node-circle');
+            g.appendChild(circle);
+            probe.appendChild(g);
+            styles.highlight[role] = read(circle).stroke;
+        });
+        // Pulse edges animate from transparent; draw them as a steady highlight
+        styles.edges.pulse.opacity = 0.5;
+
+        probe.remove();
+        return styles;
+    }
+
+    setLabels(frame) {
+        this.labels = {
+            round: frame.roundLabel,
+            phase: this.player.phaseCaption(frame, { loss: 'losses', win: 'wins' })
+        };
+        this.requestDraw();
+    }
+
+    updateNodes(nodes) {
+        this.nodes = nodes;
+        this.requestDraw();
+    }
+
+    updateEdges(edges) {
+        this.edges = edges;
+        this.requestDraw();
+    }
+
+    updatePositions() {
+        this.requestDraw();
+    }
+
+    applyZoom(zoom) {
+        this.zoom = { ...zoom };
+        this.requestDraw();
+    }
+
+    setHighlight(highlight) {
+        this.highlight = highlight;
+        this.requestDraw();
+    }
+
+    focusNode() {}
+
+    requestDraw() {
+        if (this.drawRequest) return;
+        this.drawRequest = requestAnimationFrame(() => {
+            this.drawRequest = null;
+            this.draw();
+        });
+    }
+
+    draw() {
+        const ctx = this.context;
+        if (!ctx) return;
+        const { width, height } = this.player;
+        ctx.setTransform(this.ratio, 0, 0, this.ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+
+        const text = this.styles.nodes.pending.text.fill;
+        ctx.textAlign = 'center';
+        ctx.fillStyle = text;
+        ctx.font = '600 16px sans-serif';
+        ctx.fillText(this.labels.round, width / 2, 28);
+        ctx.font = '11px sans-serif';
+        ctx.globalAlpha = 0.7;
+        ctx.fillText(this.labels.phase, width / 2, 48);
+        ctx.globalAlpha = 1;
+
+        ctx.save();
+        ctx.translate(this.zoom.x, this.zoom.y);
+        ctx.scale(this.zoom.scale, this.zoom.scale);
+        this.drawNodes(ctx);
+        this.drawEdges(ctx);
+        ctx.restore();
+    }
+
+    drawNodes(ctx) {
+        const { nodeRadius, algorithm } = this.player;
+        ctx.textBaseline = 'middle';
+        const h = this.highlight;
+        const highlightColors = this.styles.highlight;
+        this.nodes.forEach(node => {
+            const pos = this.player.getNodePosition(node.id);
+            const style = this.styles.nodes[node.cls] || this.styles.nodes.pending;
+            const role = !h ? null
+                : node.id === h.focus ? 'inspected'
+                : h.ancestors.has(node.id) ? 'ancestor'
+                : h.descendants.has(node.id) ? 'descendant'
+                : 'unrelated';
+            const dim = role === 'unrelated' ? 0.3 : 1;
+
+            if (highlightColors[role]) {
+                ctx.globalAlpha = 1;
+                ctx.beginPath();
+                ctx.arc(pos.x, pos.y, nodeRadius + 3, 0, Math.PI * 2);
+                ctx.lineWidth = 3;
+                ctx.strokeStyle = highlightColors[role];
+                ctx.stroke();
+            }
+            if (node.flagged) {
+                ctx.globalAlpha = 1;
+                ctx.beginPath();
+                ctx.arc(pos.x, pos.y, nodeRadius + 7, 0, Math.PI * 2);
+                ctx.lineWidth = 2;
+                ctx.setLineDash([4, 3]);
+                ctx.strokeStyle = this.styles.edges.audit.stroke;
+                ctx.stroke();
+                ctx.setLineDash([]);
+            }
+
+            ctx.globalAlpha = style.circle.opacity * dim;
+            ctx.beginPath();
+            ctx.arc(pos.x, pos.y, nodeRadius, 0, Math.PI * 2);
+            ctx.fillStyle = style.circle.fill;
+            ctx.fill();
+            ctx.lineWidth = style.circle.width;
+            ctx.strokeStyle = style.circle.stroke;
+            ctx.stroke();
+
+            // Same shape cues as the SVG ring and marks
+            if (node.cls === 'querying' || node.cls === 'survivor') {
+                ctx.beginPath();
+                ctx.arc(pos.x, pos.y, nodeRadius + 4, 0, Math.PI * 2);
+                ctx.setLineDash(node.cls === 'querying' ? [3, 2] : []);
+                ctx.lineWidth = 1;
+                ctx.stroke();
+                ctx.setLineDash([]);
+            }
+            if (NODE_MARKS[node.cls]) {
+                ctx.save();
+                ctx.translate(pos.x, pos.y);
+                ctx.lineWidth = 2;
+                ctx.lineCap = 'round';
+                ctx.stroke(new Path2D(NODE_MARKS[node.cls]));
+                ctx.restore();
+            }
+
+            ctx.globalAlpha = style.text.opacity * dim;
+            ctx.fillStyle = style.text.fill;
+            ctx.font = this.player.labels ? '600 8px sans-serif' : '600 11px sans-serif';
+            ctx.fillText(this.player.nodeLabel(node.id), pos.x, pos.y);
+
+            if (algorithm.showDegrees && node.cls !== 'finalized-top' && node.cls !== 'eliminated') {
+                ctx.globalAlpha = dim;
+                ctx.font = '600 8px sans-serif';
+                ctx.fillStyle = node.lossChanged ? this.styles.degrees.lossChanged : this.styles.degrees.loss;
+                ctx.fillText(node.inDegree, pos.x - 10, pos.y + nodeRadius + 10);
+                ctx.fillStyle = node.winChanged ? this.styles.degrees.winChanged : this.styles.degrees.win;
+                ctx.fillText(node.outDegree, pos.x + 10, pos.y + nodeRadius + 10);
+            }
+        });
+        ctx.globalAlpha = 1;
+        ctx.textBaseline = 'alphabetic';
+    }
+
+    drawEdges(ctx) {
+        // Arrowheads scale with stroke width like SVG markers (markerUnits=strokeWidth)
+        const arrowSize = { old: 3, new: 5, inferred: 4, audit: 4 };
+        EDGE_TYPES.forEach(type => {
+            const style = this.styles.edges[type];
+            const lines = new Path2D();
+            const heads = new Path2D();
+            let count = 0;
+            this.edges.forEach(edge => {
+                if (edge.type !== type) return;
+                const c = this.player.edgeGeometry(edge.from, edge.to, type);
+                if (!c) return;
+                lines.moveTo(c.x1, c.y1);
+                lines.quadraticCurveTo(c.cx, c.cy, c.x2, c.y2);
+                if (arrowSize[type]) {
+                    const size = arrowSize[type] * style.width;
+                    const angle = Math.atan2(c.y2 - c.cy, c.x2 - c.cx);
+                    heads.moveTo(c.x2, c.y2);
+                    heads.lineTo(c.x2 - size * Math.cos(angle - 0.4), c.y2 - size * Math.sin(angle - 0.4));
+                    heads.lineTo(c.x2 - size * Math.cos(angle + 0.4), c.y2 - size * Math.sin(angle + 0.4));
+                    heads.closePath();
+                }
+                count++;
+            });
+            if (count === 0) return;
+
+            ctx.globalAlpha = style.opacity;
+            ctx.strokeStyle = style.stroke;
+            ctx.fillStyle = style.stroke;
+            ctx.lineWidth = style.width;
+            ctx.setLineDash(type === 'inferred' ? [4, 2] : type === 'audit' ? [5, 3] : []);
+            ctx.stroke(lines);
+            ctx.setLineDash([]);
+            ctx.fill(heads);
+        });
+        ctx.globalAlpha = 1;
+    }
+
+    destroy() {
+        if (this.drawRequest) cancelAnimationFrame(this.drawRequest);
+        if (this.stopThemeListener) this.stopThemeListener();
+        this.element.remove();
+    }
+}
@@ -0,0 +1,105 @@
+/**
+ * Service worker - keeps the page working offline. The page's own files, the
+ * figure data and the vendored Plotly build are precached under a versioned
+ * cache name; bump CACHE_VERSION whenever any of them changes so returning
+ * readers drop the old copies. Pages, code and data are fetched from the
+ * network first so edits reach readers on their next visit, and the cache
+ * answers only when the network can't; the pinned Plotly build never changes
+ * under its URL, so it is served from the cache first.
+ */
+
+const CACHE_VERSION = 4;
+const CACHE_PREFIX = 'blitzrank-';
+const CACHE_NAME = `${CACHE_PREFIX}v${CACHE_VERSION}`;
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'style.css',
+    'player.css',
+    'animation.js',
+    'blitzrank-player.js',
+    'citation.js',
+    'cost-meter.js',
+    'data-schema.js',
+    'download.js',
+    'export.js',
+    'figure-state.js',
+    'llm-oracle.js',
+    'monte-carlo.js',
+    'monte-carlo-worker.js',
+    'oracle-game.js',
+    'pareto.js',
+    'pareto-frontier.js',
+    'pareto-svg.js',
+    'player.js',
+    'pricing.js',
+    'renderers.js',
+    'theme.js',
+    'trace-audit.js',
+    'trace-generator.js',
+    'user-results.js',
+    'gif/blitzrank.json',
+    'gif/sliding_window.json',
+    'plots/pareto_plotly.json',
+    'vendor/plotly-2.27.0.min.js'
+];
+
+// The CDN copy index.html loads first; cached when reachable, never required
+const PLOTLY_CDN_URL = 'https://cdn.plot.ly/plotly-2.27.0.min.js';
+
+// Versioned files answered from the cache first
+const PLOTLY_URLS = [new URL('vendor/plotly-2.27.0.min.js', self.location).href, PLOTLY_CDN_URL];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_NAME).then(async (cache) => {
+        await cache.addAll(PRECACHE_URLS);
+        try {
+            const response = await fetch(PLOTLY_CDN_URL, { mode: 'no-cors' });
+            await cache.put(PLOTLY_CDN_URL, response);
+        } catch (e) {
+            // Offline at install time: the vendored copy stands in
+        }
+    }).then(() => self.skipWaiting()));
+});
+
+// Drop the caches of earlier versions
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(names => Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+            .map(name => caches.delete(name))))
+        .then(() => self.clients.claim()));
+});
+
+// Keep a copy of a good response for later offline use
+function cacheResponse(request, response) {
+    if (response.ok || response.type === 'opaque') {
+        const copy = response.clone();
+        caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+    }
+    return response;
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (PLOTLY_URLS.includes(url.href)) {
+        event.respondWith(caches.match(request)
+            .then(cached => cached || fetch(request).then(response => cacheResponse(request, response))));
+        return;
+    }
+    if (url.origin !== self.location.origin) return;
+
+    // Figure state lives in the query string (?model=..., ?sync=...): offline,
+    // any navigation is answered with the cached page
+    const fallback = () => (request.mode === 'navigate'
+        ? caches.match(request, { ignoreSearch: true }).then(cached => cached || caches.match('index.html'))
+        : caches.match(request));
+
+    event.respondWith(fetch(request)
+        .then(response => cacheResponse(request, response))
+        .catch(err => fallback().then(cached => cached || Promise.reject(err))));
+});
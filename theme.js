@@ -0,0 +1,121 @@
+/**
+ * Theme - light, dark, high-contrast and print color themes
+ *
+ * The colors are design tokens: CSS custom properties in style.css, one block
+ * per theme, selected by <html data-theme>. The tournament SVGs pick them up
+ * through player.css; what CSS can't reach (the Plotly figure, canvas players,
+ * exported images) reads them back with themeTokens() and re-renders on
+ * onThemeChange. The reader's choice is kept in localStorage; 'auto' follows
+ * prefers-contrast and prefers-color-scheme, and printing switches to the
+ * print theme until the dialog closes.
+ */
+
+const THEME_KEY = 'blitzrank.theme';
+const THEME_CHANGE_EVENT = 'blitzrank-themechange';
+
+// Choices offered by the picker; 'print' is only applied while printing
+export const THEMES = {
+    auto: 'Auto',
+    light: 'Light',
+    dark: 'Dark',
+    'high-contrast': 'High contrast'
+};
+
+// Tokens read by scripts, as declared in style.css
+export const THEME_TOKENS = [
+    '--color-bg', '--color-text', '--color-text-light', '--color-border', '--color-surface',
+    '--color-series-1', '--color-series-2', '--color-series-3',
+    '--color-series-4', '--color-series-5', '--color-series-6'
+];
+
+const mediaQuery = query => (window.matchMedia
+    ? window.matchMedia(query)
+    : { matches: false, addEventListener() {} });
+const contrastQuery = mediaQuery('(prefers-contrast: more)');
+const darkQuery = mediaQuery('(prefers-color-scheme: dark)');
+
+// The theme a choice stands for right now
+function resolveTheme(choice) {
+    if (choice !== 'auto') return choice;
+    if (contrastQuery.matches) return 'high-contrast';
+    return darkQuery.matches ? 'dark' : 'light';
+}
+
+export function currentTheme() {
+    return document.documentElement.dataset.theme || 'light';
+}
+
+// Resolved values of THEME_TOKENS, as { '--color-bg': '#ffffff', ... }
+export function themeTokens() {
+    const style = getComputedStyle(document.documentElement);
+    return Object.fromEntries(THEME_TOKENS.map(name => [name, style.getPropertyValue(name).trim()]));
+}
+
+/**
+ * Call `listener(theme)` after the page switches theme; returns a function
+ * that removes the listener.
+ */
+export function onThemeChange(listener) {
+    const handler = e => listener(e.detail.theme);
+    document.addEventListener(THEME_CHANGE_EVENT, handler);
+    return () => document.removeEventListener(THEME_CHANGE_EVENT, handler);
+}
+
+function applyTheme(theme) {
+    if (document.documentElement.dataset.theme === theme) return;
+    document.documentElement.dataset.theme = theme;
+    document.dispatchEvent(new CustomEvent(THEME_CHANGE_EVENT, { detail: { theme } }));
+}
+
+function loadThemeChoice() {
+    try {
+        const saved = localStorage.getItem(THEME_KEY);
+        return saved && THEMES[saved] ? saved : 'auto';
+    } catch (e) {
+        return 'auto';
+    }
+}
+
+function saveThemeChoice(choice) {
+    try {
+        if (choice === 'auto') localStorage.removeItem(THEME_KEY);
+        else localStorage.setItem(THEME_KEY, choice);
+    } catch (e) {
+        console.warn('Could not save the theme:', e);
+    }
+}
+
+// index.html applies the saved theme before first paint; from here on this
+// keeps it in step with the picker, the system settings and printing. Pages
+// without the picker (e.g. embedding <blitzrank-player>) are left alone.
+function initTheme() {
+    const picker = document.getElementById('theme-picker');
+    if (!picker) return;
+
+    let choice = loadThemeChoice();
+    let printing = false;
+    const update = () => {
+        if (!printing) applyTheme(resolveTheme(choice));
+    };
+    update();
+
+    [contrastQuery, darkQuery].forEach(query => query.addEventListener('change', update));
+    window.addEventListener('beforeprint', () => {
+        printing = true;
+        applyTheme('print');
+    });
+    window.addEventListener('afterprint', () => {
+        printing = false;
+        update();
+    });
+
+    Object.entries(THEMES).forEach(([name, label]) => picker.appendChild(new Option(label, name)));
+    picker.value = choice;
+    picker.addEventListener('change', () => {
+        choice = picker.value;
+        saveThemeChoice(choice);
+        update();
+    });
+}
+
+document.addEventListener('DOMContentLoaded', initTheme);
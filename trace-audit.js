@@ -0,0 +1,220 @@
+/**
+ * Trace Audit - replays a trace and checks the invariants its frames claim
+ * instead of trusting the generator that wrote them. Each broken invariant is
+ * reported once per frame as { frame, rule, message, nodes: [id], edges: [[from, to]] }:
+ *   cycle               - a comparison contradicts what is already known
+ *   direct-removed      - directEdges lost comparisons from the previous frame
+ *   new-not-direct      - a newEdges entry is missing from directEdges
+ *   new-outside-query   - a new comparison joins nodes no oracle call ranked together
+ *   edge-not-implied    - an edge drawn in `edges` doesn't follow from the comparisons
+ *   inferred-not-implied, inferred-is-direct - inferredEdges isn't what transitivity adds
+ *   closure-incomplete  - after a closure step, implied pairs were never inferred
+ *   path-not-inferred, path-missing-edge - a propagation path doesn't run along known edges
+ *   degree-mismatch     - L/W counts disagree with the comparison graph
+ *   early-elimination   - a node was eliminated with fewer than k known winners
+ *   wrong-top-k         - the final top-k differs from the trace's ground truth
+ * The last two only apply to algorithms registered as `exact`. Once a cycle
+ * appears, checks that assume a consistent order skip the nodes caught up in it.
+ */
+
+// Transitive closure of a growing comparison graph ("a beats b")
+class Closure {
+    constructor(n) {
+        this.beats = {};
+        this.beatenBy = {};
+        for (let id = 1; id <= n; id++) {
+            this.beats[id] = new Set();
+            this.beatenBy[id] = new Set();
+        }
+    }
+
+    has(a, b) {
+        return Boolean(this.beats[a] && this.beats[a].has(b));
+    }
+
+    // Add a comparison; returns true when it closes a cycle (b already beat a)
+    add(a, b) {
+        if (a === b || !this.beats[a] || !this.beats[b] || this.beats[a].has(b)) return false;
+        const cycle = this.beats[b].has(a);
+        const targets = [b, ...this.beats[b]];
+        [a, ...this.beatenBy[a]].forEach(x => {
+            targets.forEach(y => {
+                if (x === y || this.beats[x].has(y)) return;
+                this.beats[x].add(y);
+                this.beatenBy[y].add(x);
+            });
+        });
+        return cycle;
+    }
+
+    // Nodes on some cycle: they beat a node that also beats them
+    cyclicNodes() {
+        return Object.keys(this.beats).map(Number)
+            .filter(id => [...this.beats[id]].some(other => this.beats[other].has(id)));
+    }
+}
+
+const edgeKey = ([from, to]) => `${from}-${to}`;
+
+// "3→5, 2→7 and 4 more"
+function describeEdges(edges, shown = 3) {
+    const text = edges.slice(0, shown).map(([from, to]) => `${from}→${to}`).join(', ');
+    return edges.length > shown ? `${text} and ${edges.length - shown} more` : text;
+}
+
+function plural(count, word) {
+    return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Audit a validated trace (`algorithms` is TournamentAnimationPlayer.algorithms).
+ * Returns the violations found, in frame order; an empty list means the trace
+ * is consistent.
+ */
+export function auditTrace(trace, algorithms) {
+    const { config, frames } = trace;
+    const spec = algorithms[config.algorithm] || {};
+    const cumulative = spec.edgeMode === 'cumulative';
+    const violations = [];
+    const report = (frame, rule, message, { nodes = [], edges = [] } = {}) => {
+        violations.push({ frame, rule, message, nodes, edges });
+    };
+
+    const closure = new Closure(config.n);
+    const direct = new Set();   // cumulative traces: every directEdges entry so far
+    const inferred = new Set(); // cumulative traces: every inferredEdges entry so far
+    const missed = new Set();   // implied pairs already reported as never inferred
+    const cyclic = new Set();   // nodes on a cycle
+    let previous = null;
+
+    frames.forEach((frame, index) => {
+        const nodes = Object.values(frame.nodes);
+        const before = id => (previous ? previous.nodes[String(id)] : null);
+
+        // Comparisons: the running directEdges of a cumulative trace, or each
+        // frame's edges when a trace only shows the current comparison
+        const observed = cumulative ? frame.directEdges || [] : frame.edges || [];
+        if (cumulative && previous) {
+            const now = new Set(observed.map(edgeKey));
+            const removed = (previous.directEdges || []).filter(edge => !now.has(edgeKey(edge)));
+            if (removed.length > 0) {
+                report(index, 'direct-removed', `${plural(removed.length, 'direct comparison')} from the previous frame disappeared: ${describeEdges(removed)}.`, { edges: removed });
+            }
+        }
+        observed.forEach(([a, b]) => {
+            if (cumulative) direct.add(edgeKey([a, b]));
+            if (!closure.add(a, b)) return;
+            closure.cyclicNodes().forEach(id => cyclic.add(id));
+            report(index, 'cycle', `${a} beats ${b}, but ${b} was already known to beat ${a}.`, { nodes: [a, b], edges: [[a, b]] });
+        });
+        // Nodes on or ordered against a cycle: their implied pairs and counts are meaningless
+        const tainted = new Set(cyclic);
+        cyclic.forEach(id => {
+            closure.beats[id].forEach(other => tainted.add(other));
+            closure.beatenBy[id].forEach(other => tainted.add(other));
+        });
+
+        if (cumulative) {
+            const newEdges = frame.newEdges || [];
+            const notDirect = newEdges.filter(edge => !direct.has(edgeKey(edge)));
+            if (notDirect.length > 0) {
+                report(index, 'new-not-direct', `${plural(notDirect.length, 'new comparison')} missing from directEdges: ${describeEdges(notDirect)}.`, { edges: notDirect });
+            }
+            const groups = frame.queryGroups || [];
+            if (groups.length > 0) {
+                const outside = newEdges.filter(([a, b]) => !groups.some(group => group.includes(a) && group.includes(b)));
+                if (outside.length > 0) {
+                    report(index, 'new-outside-query', `${plural(outside.length, 'new comparison')} between nodes no oracle call ranked together: ${describeEdges(outside)}.`, { edges: outside });
+                }
+            }
+
+            const unimplied = (frame.edges || []).filter(([a, b]) => !closure.has(a, b));
+            if (unimplied.length > 0) {
+                report(index, 'edge-not-implied', `${plural(unimplied.length, 'drawn edge')} not backed by any comparison: ${describeEdges(unimplied)}.`, { edges: unimplied });
+            }
+
+            const inferredEdges = frame.inferredEdges || [];
+            const notImplied = inferredEdges.filter(([a, b]) => !closure.has(a, b));
+            if (notImplied.length > 0) {
+                report(index, 'inferred-not-implied', `${plural(notImplied.length, 'inferred edge')} that transitivity doesn't give: ${describeEdges(notImplied)}.`, { edges: notImplied });
+            }
+            const alreadyDirect = inferredEdges.filter(edge => direct.has(edgeKey(edge)));
+            if (alreadyDirect.length > 0) {
+                report(index, 'inferred-is-direct', `${plural(alreadyDirect.length, 'inferred edge')} already compared directly: ${describeEdges(alreadyDirect)}.`, { edges: alreadyDirect });
+            }
+            inferredEdges.forEach(edge => inferred.add(edgeKey(edge)));
+
+            // After a closure step every implied pair is either direct or inferred
+            if (frame.phase === 'closure') {
+                const missing = [];
+                Object.entries(closure.beats).forEach(([from, targets]) => {
+                    if (tainted.has(Number(from))) return;
+                    targets.forEach(to => {
+                        const key = edgeKey([from, to]);
+                        if (tainted.has(to) || direct.has(key) || inferred.has(key) || missed.has(key)) return;
+                        missed.add(key);
+                        missing.push([Number(from), to]);
+                    });
+                });
+                if (missing.length > 0) {
+                    report(index, 'closure-incomplete', `${plural(missing.length, 'implied pair')} never inferred: ${describeEdges(missing)}.`, { edges: missing });
+                }
+            }
+
+            const frameInferred = new Set(inferredEdges.map(edgeKey));
+            const notInferred = [];
+            const offPath = [];
+            (frame.propagationPaths || []).forEach(({ from, via, to }) => {
+                if (!frameInferred.has(edgeKey([from, to]))) notInferred.push([from, to]);
+                if (!closure.has(from, via) || !closure.has(via, to)) offPath.push([from, via], [via, to]);
+            });
+            if (notInferred.length > 0) {
+                report(index, 'path-not-inferred', `${plural(notInferred.length, 'propagation path')} ending in an edge this frame doesn't infer: ${describeEdges(notInferred)}.`, { edges: notInferred });
+            }
+            if (offPath.length > 0) {
+                report(index, 'path-missing-edge', `${plural(offPath.length / 2, 'propagation path')} through an edge that isn't known: ${describeEdges(offPath.filter(([a, b]) => !closure.has(a, b)))}.`, { edges: offPath });
+            }
+        }
+
+        // L/W counts may lag behind the graph, but any change (and the 'final'
+        // frame closing a finished trace) must match it
+        const settled = frame.phase === 'final';
+        const miscounted = nodes.filter(node => {
+            if (!Number.isInteger(node.inDegree) || !Number.isInteger(node.outDegree) || tainted.has(node.id)) return false;
+            const prev = before(node.id);
+            const changed = !prev || prev.inDegree !== node.inDegree || prev.outDegree !== node.outDegree;
+            if (!changed && !settled) return false;
+            return node.inDegree !== closure.beatenBy[node.id].size || node.outDegree !== closure.beats[node.id].size;
+        });
+        if (miscounted.length > 0) {
+            const detail = miscounted.slice(0, 3).map(node =>
+                `${node.id} shows ${node.inDegree}/${node.outDegree}, expected ${closure.beatenBy[node.id].size}/${closure.beats[node.id].size}`);
+            if (miscounted.length > 3) detail.push(`${miscounted.length - 3} more`);
+            report(index, 'degree-mismatch', `L/W counts of ${plural(miscounted.length, 'node')} don't match the comparisons: ${detail.join('; ')}.`, { nodes: miscounted.map(node => node.id) });
+        }
+
+        if (spec.exact) {
+            const early = nodes.filter(node => node.status === 'finalized_out' &&
+                !(before(node.id) && before(node.id).status === 'finalized_out') &&
+                closure.beatenBy[node.id].size < config.k);
+            if (early.length > 0) {
+                const detail = early.map(node => `${node.id} (${closure.beatenBy[node.id].size})`).join(', ');
+                report(index, 'early-elimination', `Eliminated with fewer than ${config.k} known winners: ${detail}.`, { nodes: early.map(node => node.id) });
+            }
+        }
+
+        previous = frame;
+    });
+
+    if (spec.exact && Array.isArray(trace.groundTruth) && frames.length > 0) {
+        const last = frames.length - 1;
+        const top = Object.values(frames[last].nodes).filter(node => node.status === 'finalized_top').map(node => node.id);
+        const expected = trace.groundTruth.slice(0, config.k);
+        const wrong = [...top.filter(id => !expected.includes(id)), ...expected.filter(id => !top.includes(id))];
+        if (wrong.length > 0) {
+            report(last, 'wrong-top-k', `The final top-${config.k} is ${top.join(', ') || 'empty'}; the ground truth's is ${expected.join(', ')}.`, { nodes: wrong });
+        }
+    }
+
+    return violations;
+}
@@ -0,0 +1,665 @@
+/**
+ * Trace Generator - runs BlitzRank and the baseline rerankers in the browser
+ * against a seeded ground-truth permutation and emits frames in the gif/*.json schema.
+ * The generators hand out their oracle calls a compare step at a time, so oracles
+ * that answer asynchronously (a person, an LLM) pick up where they left off: see
+ * replayTrace and streamTrace.
+ */
+
+import { TRACE_SCHEMA_VERSION } from './data-schema.js';
+
+// Small, fast seeded PRNG (mulberry32) so a seed always replays the same run
+function createRng(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Ground truth: node ids 1..n ordered fastest first (Fisher-Yates shuffle)
+function shuffledRanking(n, rng) {
+    const ranking = Array.from({ length: n }, (_, i) => i + 1);
+    for (let i = n - 1; i > 0; i--) {
+        const j = Math.floor(rng() * (i + 1));
+        [ranking[i], ranking[j]] = [ranking[j], ranking[i]];
+    }
+    return ranking;
+}
+
+// Oracle that orders a group by the ground-truth ranking (best first)
+export function groundTruthOracle(ranking) {
+    const rank = new Map(ranking.map((id, i) => [id, i]));
+    return group => [...group].sort((a, b) => rank.get(a) - rank.get(b));
+}
+
+export function validateTraceConfig({ n, k, m }) {
+    const isInt = v => Number.isInteger(v);
+    if (!isInt(n) || n < 2) throw new RangeError('n must be an integer ≥ 2');
+    if (!isInt(k) || k < 1 || k >= n) throw new RangeError('k must be an integer between 1 and n - 1');
+    if (!isInt(m) || m < 2 || m > n) throw new RangeError('m must be an integer between 2 and n');
+}
+
+// Chain edges [a, b] ("a beats b") between consecutive items of an oracle ranking
+function chainEdges(ranked) {
+    const edges = [];
+    for (let i = 0; i < ranked.length - 1; i++) {
+        edges.push([ranked[i], ranked[i + 1]]);
+    }
+    return edges;
+}
+
+// Race every item once: split into groups of m, topping up a short trailing
+// group with already-scheduled items so every oracle call sees m items
+function coverInGroups(items, m) {
+    const groups = [];
+    for (let i = 0; i < items.length; i += m) {
+        const group = items.slice(i, i + m);
+        for (let j = 0; group.length < m && j < i; j++) group.push(items[j]);
+        groups.push(group);
+    }
+    return groups;
+}
+
+// Label for a batch of oracle calls made in parallel after `round` earlier calls
+function batchLabel(round, calls) {
+    return calls > 1 ? `Rounds ${round + 1}-${round + calls}` : `Round ${round + 1}`;
+}
+
+function completeLabel(round) {
+    return `Complete: ${round} Round${round === 1 ? '' : 's'}`;
+}
+
+// Frame factory for algorithms whose nodes only carry a status
+function statusSnapshotter(ids, status, fields = {}) {
+    return (phase, roundLabel, extra = {}) => {
+        const nodes = {};
+        ids.forEach(id => {
+            nodes[String(id)] = { id, status: status[id], ...(fields[id] || {}) };
+        });
+        return { phase, roundLabel, nodes, edges: [], queryGroups: [], ...extra };
+    };
+}
+
+function* generateBlitzRankTrace(config) {
+    const { n, k, m } = config;
+    validateTraceConfig(config);
+
+    const ids = Array.from({ length: n }, (_, i) => i + 1);
+    const status = {};
+    const beats = {};     // beats[a]: nodes a is known to beat (transitive closure)
+    const beatenBy = {};  // beatenBy[b]: nodes known to beat b
+    ids.forEach(id => {
+        status[id] = 'pending';
+        beats[id] = new Set();
+        beatenBy[id] = new Set();
+    });
+    const directEdges = [];
+    const directSet = new Set();
+    const frames = [];
+    // L/W counts on screen only change in the update_degrees step
+    let degrees = {};
+    const refreshDegrees = () => {
+        degrees = {};
+        ids.forEach(id => { degrees[id] = { in: beatenBy[id].size, out: beats[id].size }; });
+    };
+    refreshDegrees();
+
+    // Add a direct comparison and propagate it through the closure. Returns the
+    // newly implied pairs together with an intermediate node that explains them.
+    // An answer contradicting the closure (b already known to beat a, which only
+    // an inconsistent oracle gives) is drawn but not propagated, so it can't
+    // make two nodes beat each other.
+    const addDirectEdge = (a, b) => {
+        const key = `${a}-${b}`;
+        if (!directSet.has(key)) {
+            directSet.add(key);
+            directEdges.push([a, b]);
+        }
+        if (beats[a].has(b) || beats[b].has(a)) return [];
+
+        const added = [];
+        const sources = [a, ...beatenBy[a]];
+        const targets = [b, ...beats[b]];
+        sources.forEach(x => {
+            targets.forEach(y => {
+                if (x === y || beats[x].has(y)) return;
+                beats[x].add(y);
+                beatenBy[y].add(x);
+                const via = x !== a ? a : (y !== b ? b : null);
+                added.push({ from: x, via, to: y });
+            });
+        });
+        return added;
+    };
+
+    const isKnown = (a, b) => beats[a].has(b) || beats[b].has(a);
+
+    // Minimal edge set: drop direct edges already implied by a longer path
+    const reducedEdges = () => directEdges.filter(([a, b]) =>
+        ![...beats[a]].some(c => c !== b && beats[c].has(b))
+    );
+
+    const snapshot = (phase, roundLabel, extra = {}, querying = new Set()) => {
+        const nodes = {};
+        ids.forEach(id => {
+            nodes[String(id)] = {
+                id,
+                inDegree: degrees[id].in,
+                outDegree: degrees[id].out,
+                status: querying.has(id) ? 'querying' : status[id]
+            };
+        });
+        return {
+            phase,
+            roundLabel,
+            nodes,
+            edges: reducedEdges(),
+            directEdges: directEdges.map(e => [...e]),
+            newEdges: [],
+            inferredEdges: [],
+            propagationPaths: [],
+            queryGroups: [],
+            ...extra
+        };
+    };
+
+    // Fewest losses first, then fewest known relations (most to learn), then id
+    const bySelectionPriority = (a, b) =>
+        (beatenBy[a].size - beatenBy[b].size) ||
+        ((beats[a].size + beatenBy[a].size) - (beats[b].size + beatenBy[b].size)) ||
+        (a - b);
+
+    const selectGroups = () => {
+        const pending = ids.filter(id => status[id] === 'pending').sort(bySelectionPriority);
+
+        // Nothing is known yet: race every node once in disjoint groups
+        if (directEdges.length === 0) return coverInGroups(pending, m);
+
+        const group = pending.slice(0, m);
+        const hasUnknownPair = group.some((a, i) => group.slice(i + 1).some(b => !isKnown(a, b)));
+        if (hasUnknownPair) return [group];
+
+        // Every pair among the leading candidates is settled; fall back to the
+        // first unresolved pair among the remaining (and finalized top) nodes
+        const pool = [...pending, ...ids.filter(id => status[id] === 'finalized_top').sort(bySelectionPriority)];
+        for (let i = 0; i < pool.length; i++) {
+            for (let j = i + 1; j < pool.length; j++) {
+                if (isKnown(pool[i], pool[j])) continue;
+                const fallback = [pool[i], pool[j]];
+                pool.forEach(id => {
+                    if (fallback.length < m && !fallback.includes(id)) fallback.push(id);
+                });
+                return [fallback];
+            }
+        }
+        throw new Error('BlitzRank trace stalled: no unresolved pairs left to query');
+    };
+
+    frames.push(snapshot('idle', 'Initial State'));
+
+    let round = 0;
+    const countTop = () => ids.filter(id => status[id] === 'finalized_top').length;
+    while (countTop() < k) {
+        if (round > n * n) throw new Error('BlitzRank trace did not converge');
+
+        const queryGroups = selectGroups();
+        const roundLabel = batchLabel(round, queryGroups.length);
+        round += queryGroups.length;
+        const querying = new Set(queryGroups.flat());
+
+        frames.push(snapshot('select', roundLabel, { queryGroups }, querying));
+
+        // Compare: each oracle call reveals the chain of its ranking
+        const newEdges = [];
+        const implied = [];
+        const rankings = yield { queryGroups, frames };
+        rankings.forEach(ranking => {
+            chainEdges(ranking).forEach(([a, b]) => {
+                newEdges.push([a, b]);
+                implied.push(...addDirectEdge(a, b));
+            });
+        });
+        frames.push(snapshot('compare', roundLabel, { newEdges, queryGroups }, querying));
+
+        // Closure: pairs implied by transitivity rather than observed directly
+        const inferred = implied.filter(p => !directSet.has(`${p.from}-${p.to}`));
+        frames.push(snapshot('closure', roundLabel, {
+            inferredEdges: inferred.map(p => [p.from, p.to]),
+            propagationPaths: inferred.filter(p => p.via !== null)
+        }, querying));
+
+        refreshDegrees();
+        frames.push(snapshot('update_degrees', roundLabel));
+
+        // Eliminate: k known winners means a node cannot be in the top-k
+        ids.forEach(id => {
+            if (status[id] === 'pending' && beatenBy[id].size >= k) status[id] = 'finalized_out';
+        });
+        frames.push(snapshot('eliminate', roundLabel));
+
+        // Finalize: fewer than k nodes could still beat it, or only top-k remain
+        const pending = ids.filter(id => status[id] === 'pending');
+        const certain = pending.length + countTop() <= k
+            ? pending
+            : pending.filter(id => n - 1 - beats[id].size < k);
+        if (certain.length > 0) {
+            certain.forEach(id => { status[id] = 'finalized_top'; });
+            frames.push(snapshot('finalize', roundLabel));
+        }
+    }
+
+    frames.push(snapshot('final', completeLabel(round)));
+
+    return { config: { n, k, m, algorithm: 'blitzrank' }, frames };
+}
+
+function* generateSlidingWindowTrace(config) {
+    const { n, k, m } = config;
+    validateTraceConfig(config);
+    // Each window keeps k survivors, so it must have room for new items
+    if (m <= k) throw new RangeError('m must be larger than k for Sliding Window');
+
+    const ids = Array.from({ length: n }, (_, i) => i + 1);
+    const status = {};
+    ids.forEach(id => { status[id] = 'unseen'; });
+    const frames = [];
+
+    const snapshot = (phase, roundLabel, extra = {}) => {
+        const nodes = {};
+        ids.forEach(id => { nodes[String(id)] = { id, status: status[id] }; });
+        return { phase, roundLabel, nodes, window: [], edges: [], ...extra };
+    };
+
+    frames.push(snapshot('idle', 'Initial State'));
+
+    // The window slides from the right end of the list towards the front
+    const unseen = [...ids].reverse();
+    let survivors = [];
+    let round = 0;
+    while (true) {
+        round++;
+        const roundLabel = `Round ${round}`;
+        const window = [...survivors, ...unseen.splice(0, m - survivors.length)];
+
+        window.forEach(id => { status[id] = 'in_window'; });
+        frames.push(snapshot('select', roundLabel, { window }));
+
+        const [ranked] = yield { queryGroups: [window], frames };
+        frames.push(snapshot('compare', roundLabel, { window: ranked, edges: chainEdges(ranked) }));
+
+        if (unseen.length === 0) {
+            ranked.forEach((id, i) => { status[id] = i < k ? 'finalized_top' : 'finalized_out'; });
+            frames.push(snapshot('finalize', roundLabel));
+            break;
+        }
+
+        // Eliminate: the bottom m - k leave, the top k carry over
+        survivors = ranked.slice(0, k);
+        ranked.forEach((id, i) => { status[id] = i < k ? 'survivor' : 'finalized_out'; });
+        frames.push(snapshot('eliminate', roundLabel));
+    }
+
+    frames.push(snapshot('final', completeLabel(round)));
+
+    return { config: { n, k, m, algorithm: 'sliding_window' }, frames };
+}
+
+// TourRank (single tournament): groups of up to m race in parallel each stage and
+// the top half of every group (at most k) advances until one group is left
+function* generateTourRankTrace(config) {
+    const { n, k, m } = config;
+    validateTraceConfig(config);
+    // At least k candidates advance, and the last stage ranks them in one group
+    if (m < k) throw new RangeError('m must be at least k for TourRank');
+
+    const ids = Array.from({ length: n }, (_, i) => i + 1);
+    const status = {};
+    ids.forEach(id => { status[id] = 'pending'; });
+    const snapshot = statusSnapshotter(ids, status);
+    const frames = [snapshot('idle', 'Initial State')];
+
+    let candidates = ids;
+    let round = 0;
+    while (true) {
+        // Deal candidates round-robin so stage winners are spread across groups
+        const groupCount = Math.ceil(candidates.length / m);
+        const queryGroups = Array.from({ length: groupCount }, () => []);
+        candidates.forEach((id, i) => queryGroups[i % groupCount].push(id));
+        const roundLabel = batchLabel(round, groupCount);
+        round += groupCount;
+
+        frames.push(snapshot('select', roundLabel, { queryGroups }));
+
+        const ranked = yield { queryGroups, frames };
+        const edges = ranked.flatMap(chainEdges);
+        frames.push(snapshot('compare', roundLabel, { queryGroups, edges }));
+
+        if (groupCount === 1) {
+            ranked[0].forEach((id, i) => { status[id] = i < k ? 'finalized_top' : 'finalized_out'; });
+            frames.push(snapshot('finalize', roundLabel));
+            break;
+        }
+
+        // Advance the top half of each group, topping up until k remain
+        const keep = ranked.map(group => Math.min(k, Math.ceil(group.length / 2)));
+        for (let g = 0; keep.reduce((a, b) => a + b, 0) < k; g = (g + 1) % groupCount) {
+            if (keep[g] < ranked[g].length) keep[g]++;
+        }
+        const advancing = [];
+        const maxKeep = Math.max(...keep);
+        for (let place = 0; place < maxKeep; place++) {
+            ranked.forEach((group, g) => { if (place < keep[g]) advancing.push(group[place]); });
+        }
+        candidates.forEach(id => { status[id] = advancing.includes(id) ? 'survivor' : 'finalized_out'; });
+        candidates = advancing;
+        frames.push(snapshot('eliminate', roundLabel));
+    }
+
+    frames.push(snapshot('final', completeLabel(round)));
+
+    return { config: { n, k, m, algorithm: 'tourrank' }, frames };
+}
+
+// AcuRank (simplified): keeps a Gaussian relevance estimate per item, reranks the
+// items whose side of the top-k boundary is most uncertain, and stops once every
+// item is confidently inside or outside the top-k
+function* generateAcuRankTrace(config) {
+    const { n, k, m } = config;
+    validateTraceConfig(config);
+
+    const ids = Array.from({ length: n }, (_, i) => i + 1);
+    const status = {};
+    const estimate = {};
+    ids.forEach(id => {
+        status[id] = 'pending';
+        estimate[id] = { score: 0, uncertainty: 1 };
+    });
+    const snapshot = statusSnapshotter(ids, status, estimate);
+    const frames = [];
+    const record = (phase, roundLabel, extra) => {
+        // Copy the estimates so later updates don't rewrite earlier frames
+        ids.forEach(id => { estimate[id] = { ...estimate[id] }; });
+        frames.push(snapshot(phase, roundLabel, extra));
+    };
+
+    const confidence = 1.5;
+    const learningRate = 0.5;
+    const shrink = 0.8;
+    const maxRounds = 10 * n;
+
+    const round2 = v => Math.round(v * 100) / 100;
+    const update = ranked => {
+        ranked.forEach((winner, i) => {
+            ranked.slice(i + 1).forEach(loser => {
+                const w = estimate[winner];
+                const l = estimate[loser];
+                const surprise = 1 - 1 / (1 + Math.exp(l.score - w.score));
+                w.score += learningRate * w.uncertainty ** 2 * surprise;
+                l.score -= learningRate * l.uncertainty ** 2 * surprise;
+            });
+        });
+        ranked.forEach(id => { estimate[id].uncertainty *= shrink; });
+        ranked.forEach(id => {
+            estimate[id].score = round2(estimate[id].score);
+            estimate[id].uncertainty = round2(estimate[id].uncertainty);
+        });
+    };
+
+    // Midpoint between the k-th and (k+1)-th best current estimates
+    const boundary = () => {
+        const sorted = ids.map(id => estimate[id].score).sort((a, b) => b - a);
+        return (sorted[k - 1] + sorted[k]) / 2;
+    };
+
+    record('idle', 'Initial State');
+
+    let round = 0;
+    while (true) {
+        const pending = ids.filter(id => status[id] === 'pending');
+        const top = ids.filter(id => status[id] === 'finalized_top');
+        if (pending.length === 0) break;
+
+        let queryGroups;
+        if (round === 0) {
+            queryGroups = coverInGroups(ids, m);
+        } else {
+            const b = boundary();
+            const margin = id => Math.abs(estimate[id].score - b) / estimate[id].uncertainty;
+            queryGroups = [[...pending].sort((x, y) => margin(x) - margin(y) || x - y).slice(0, m)];
+        }
+
+        // One undecided item (or the rest of the budget) settles by elimination
+        if (queryGroups[0].length < 2 || round >= maxRounds) {
+            const byScore = [...pending].sort((x, y) => estimate[y].score - estimate[x].score || x - y);
+            byScore.forEach((id, i) => { status[id] = i < k - top.length ? 'finalized_top' : 'finalized_out'; });
+            record('finalize', `Round ${round}`);
+            break;
+        }
+
+        const roundLabel = batchLabel(round, queryGroups.length);
+        round += queryGroups.length;
+
+        record('select', roundLabel, { queryGroups });
+        const ranked = yield { queryGroups, frames };
+        record('compare', roundLabel, { queryGroups, edges: ranked.flatMap(chainEdges) });
+        ranked.forEach(update);
+        record('update_scores', roundLabel);
+
+        const b = boundary();
+        const out = pending.filter(id => estimate[id].score + confidence * estimate[id].uncertainty < b);
+        out.forEach(id => { status[id] = 'finalized_out'; });
+        record('eliminate', roundLabel);
+
+        // Confidently above the boundary, or only top-k candidates remain
+        const remaining = ids.filter(id => status[id] === 'pending');
+        const certain = remaining.length + top.length <= k
+            ? remaining
+            : remaining.filter(id => estimate[id].score - confidence * estimate[id].uncertainty > b);
+        if (certain.length > 0) {
+            certain.forEach(id => { status[id] = 'finalized_top'; });
+            record('finalize', roundLabel);
+        }
+    }
+
+    record('final', completeLabel(round));
+
+    return { config: { n, k, m, algorithm: 'acurank' }, frames };
+}
+
+// Setwise / Pairwise (bubble sort): k passes from the end of the list, each oracle
+// call picks only the best of the current winner plus groupSize - 1 new items
+function* generateBubbleTrace(config, groupSize, algorithm) {
+    const { n, k, m } = config;
+    validateTraceConfig(config);
+
+    const ids = Array.from({ length: n }, (_, i) => i + 1);
+    const status = {};
+    ids.forEach(id => { status[id] = 'pending'; });
+    const snapshot = statusSnapshotter(ids, status);
+    const frames = [snapshot('idle', 'Initial State')];
+
+    let round = 0;
+    for (let pass = 0; pass < k; pass++) {
+        const items = ids.filter(id => status[id] === 'pending').reverse();
+        let best = items[0];
+        for (let i = 1; i < items.length; i += groupSize - 1) {
+            round++;
+            const roundLabel = `Round ${round}`;
+            const group = [best, ...items.slice(i, i + groupSize - 1)];
+            frames.push(snapshot('select', roundLabel, { queryGroups: [group] }));
+
+            status[best] = 'pending';
+            best = (yield { queryGroups: [group], frames })[0][0];
+            status[best] = 'survivor';
+            const edges = group.filter(id => id !== best).map(id => [best, id]);
+            frames.push(snapshot('compare', roundLabel, { queryGroups: [group], edges }));
+        }
+
+        status[best] = 'finalized_top';
+        frames.push(snapshot('finalize', `Round ${round}`));
+    }
+
+    ids.forEach(id => { if (status[id] === 'pending') status[id] = 'finalized_out'; });
+    frames.push(snapshot('eliminate', `Round ${round}`));
+    frames.push(snapshot('final', completeLabel(round)));
+
+    return { config: { n, k, m, algorithm }, frames };
+}
+
+function generateSetwiseTrace(config) {
+    return generateBubbleTrace(config, config.m, 'setwise');
+}
+
+function generatePairwiseTrace(config) {
+    return generateBubbleTrace(config, 2, 'pairwise');
+}
+
+/**
+ * Trace generators by algorithm. Each is a generator function of the config
+ * ({ n, k, m }): at every compare step it yields { queryGroups, frames }, the
+ * groups to rank in parallel and the frames so far (up to that step's select
+ * frame), expects their rankings (best first, one per group) back from next(),
+ * and returns the finished { config, frames }.
+ */
+export const traceGenerators = {
+    blitzrank: generateBlitzRankTrace,
+    sliding_window: generateSlidingWindowTrace,
+    tourrank: generateTourRankTrace,
+    acurank: generateAcuRankTrace,
+    setwise: generateSetwiseTrace,
+    pairwise: generatePairwiseTrace
+};
+
+// A problem instance: n items, top-k target, m items per oracle call and the
+// hidden ranking every algorithm is run against
+export function createInstance({ n, k, m, seed }) {
+    if (!Number.isInteger(seed)) throw new RangeError('seed must be an integer');
+    validateTraceConfig({ n, k, m });
+    return { n, k, m, seed, ranking: shuffledRanking(n, createRng(seed)) };
+}
+
+// Start `algorithm` on `config`; see traceGenerators
+function startTrace(algorithm, config) {
+    const generate = traceGenerators[algorithm];
+    if (!generate) throw new Error(`Unknown algorithm: ${algorithm}`);
+    return generate(config);
+}
+
+// The config a trace of `algorithm` records, as the generators return it
+const traceConfig = (algorithm, { n, k, m }) => ({ n, k, m, algorithm });
+
+export function generateTrace(algorithm, instance) {
+    const { n, k, m, seed, ranking } = instance;
+    const oracle = groundTruthOracle(ranking);
+    const steps = startTrace(algorithm, { n, k, m });
+    let step = steps.next();
+    while (!step.done) step = steps.next(step.value.queryGroups.map(group => oracle(group)));
+    const { config, frames } = step.value;
+    if (seed !== undefined) config.seed = seed;
+    return { schemaVersion: TRACE_SCHEMA_VERSION, config, groundTruth: ranking, frames };
+}
+
+// Oracle calls behind a compare frame, read from the select frame before it
+// (a sliding window's compare frame is already in ranked order)
+function selectedGroups(select) {
+    if ((select.queryGroups || []).length > 0) return select.queryGroups;
+    return (select.window || []).length > 0 ? [select.window] : [];
+}
+
+/**
+ * What a finished run cost: rounds as its labels count them ("Complete: 7
+ * Rounds", as in Figure 2), oracle calls, and batches, the compare steps whose
+ * calls could run in parallel.
+ */
+export function summarizeTrace(trace) {
+    const { frames } = trace;
+    let calls = 0;
+    let batches = 0;
+    frames.forEach((frame, i) => {
+        if (frame.phase !== 'compare' || i === 0) return;
+        calls += selectedGroups(frames[i - 1]).length;
+        batches++;
+    });
+    const numbers = String(frames[frames.length - 1].roundLabel || '').match(/\d+/g);
+    return { rounds: numbers ? Number(numbers[numbers.length - 1]) : 0, calls, batches };
+}
+
+/**
+ * Oracle answers as a comparison graph. `beats` is its transitive closure; an
+ * answer putting a ahead of b when b already beats a would close a cycle, so it
+ * is recorded as a conflict and left out of the closure (as BlitzRank does).
+ */
+export class AnswerGraph {
+    constructor(n) {
+        this.n = n;
+        this.beats = {};
+        for (let id = 1; id <= n; id++) this.beats[id] = new Set();
+        this.conflicts = []; // { call, winner, loser }
+    }
+
+    // Record the ranking returned by oracle call number `call` (1-based);
+    // returns the conflicts it added
+    add(call, ranking) {
+        const found = [];
+        chainEdges(ranking).forEach(([a, b]) => {
+            if (this.beats[b].has(a)) {
+                found.push({ call, winner: a, loser: b });
+                return;
+            }
+            if (this.beats[a].has(b)) return;
+            const sources = [a, ...Object.keys(this.beats).map(Number).filter(x => this.beats[x].has(a))];
+            const targets = [b, ...this.beats[b]];
+            sources.forEach(x => targets.forEach(y => {
+                if (x !== y) this.beats[x].add(y);
+            }));
+        });
+        this.conflicts.push(...found);
+        return found;
+    }
+}
+
+/**
+ * Run `algorithm` with recorded oracle answers (one ranking per call, in the
+ * order the algorithm asks). The frames returned stop before the first compare
+ * step still missing an answer, and `pending` lists that step's unanswered
+ * groups (empty once the trace is complete).
+ */
+export function replayTrace(algorithm, config, answers) {
+    const steps = startTrace(algorithm, config);
+    let answered = 0;
+    let step = steps.next();
+    while (!step.done) {
+        const { queryGroups, frames } = step.value;
+        if (answered + queryGroups.length > answers.length) {
+            const pending = queryGroups.slice(answers.length - answered);
+            return { config: traceConfig(algorithm, config), frames: frames.slice(), pending };
+        }
+        step = steps.next(answers.slice(answered, answered + queryGroups.length));
+        answered += queryGroups.length;
+    }
+    return { ...step.value, pending: [] };
+}
+
+/**
+ * Generate a trace with an asynchronous oracle (`group => Promise<ranking>`),
+ * calling `onFrames(trace)` each time it grows. The groups of one compare step
+ * are asked in parallel, and the generator resumes where it stopped once they
+ * answer. Stops early, returning null, once `signal` is aborted.
+ */
+export async function streamTrace(algorithm, config, oracle, onFrames, signal) {
+    const steps = startTrace(algorithm, config);
+    let step = steps.next();
+    while (true) {
+        if (signal && signal.aborted) return null;
+        if (step.done) break;
+        const { queryGroups, frames } = step.value;
+        onFrames({ config: traceConfig(algorithm, config), frames: frames.slice() });
+        step = steps.next(await Promise.all(queryGroups.map(group => oracle(group))));
+    }
+    onFrames(step.value);
+    return step.value;
+}
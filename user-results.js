@@ -0,0 +1,237 @@
+/**
+ * User Results - the reader's own runs plotted against the published Pareto
+ * frontiers: parsed in the browser from CSV or JSON, kept in localStorage and
+ * merged into the Pareto plot data as extra traces
+ *
+ * Point: { method, oracle: model key, tokens: avg. tokens/query in thousands,
+ *          metric: nDCG@10, configuration? }
+ */
+
+import { SchemaError, createIssueList } from './data-schema.js';
+import { dominates, paretoRows } from './pareto-frontier.js';
+
+const USER_RESULTS_KEY = 'blitzrank.userResults';
+const USER_RESULT_COLORS = ['#e11d48', '#0d9488', '#7c3aed', '#ea580c', '#4d7c0f', '#be185d'];
+
+// Legend group of the frontier line drawn through the reader's and published points
+export const FRONTIER_GROUP = 'Pareto frontier';
+
+// Accepted column/property names per field, compared without case or punctuation;
+// the Pareto table's own CSV/JSON downloads read back in
+const USER_RESULT_FIELDS = {
+    method: ['method'],
+    oracle: ['oracle', 'model', 'llm'],
+    tokens: ['tokens', 'avgtokensperqueryk', 'tokensperquery', 'tokensk'],
+    metric: ['metric', 'ndcg10', 'ndcg'],
+    configuration: ['configuration', 'config', 'run']
+};
+
+const normalizeName = name => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Rows of a CSV text as arrays of fields (quoted fields may hold commas, quotes and newlines)
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                field += c;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === ',') {
+            row.push(field);
+            field = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += c;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// Records ({ field: raw value }) from CSV with a header row, or a JSON array of objects
+function userResultRecords(text, issues) {
+    const trimmed = text.trim();
+    const fieldFor = name => Object.keys(USER_RESULT_FIELDS)
+        .find(field => USER_RESULT_FIELDS[field].includes(normalizeName(name)));
+
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+        let data;
+        try {
+            data = JSON.parse(trimmed);
+        } catch (e) {
+            issues.add('', `invalid JSON (${e.message})`);
+            return [];
+        }
+        if (!Array.isArray(data)) {
+            issues.add('', 'expected a JSON array of points');
+            return [];
+        }
+        return data.map((item, i) => {
+            const record = { path: `[${i}]` };
+            if (item === null || typeof item !== 'object') return record;
+            Object.entries(item).forEach(([key, value]) => {
+                const field = fieldFor(key);
+                if (field) record[field] = value;
+            });
+            return record;
+        });
+    }
+
+    const [header, ...rows] = parseCsv(trimmed);
+    const fields = (header || []).map(fieldFor);
+    ['method', 'oracle', 'tokens', 'metric'].forEach(field => {
+        if (!fields.includes(field)) issues.add('header', `missing a "${field}" column`);
+    });
+    return rows.map((row, i) => {
+        const record = { path: `row ${i + 2}` };
+        fields.forEach((field, column) => {
+            if (field) record[field] = row[column];
+        });
+        return record;
+    });
+}
+
+/**
+ * Parse pasted or uploaded points. Oracles match a model key or display name
+ * (e.g. "gpt-4.1" or "GPT-4.1"). Throws a SchemaError listing every problem.
+ */
+export function parseUserResults(text, plotData, source = 'Your results') {
+    const issues = createIssueList();
+    const oracles = new Map();
+    Object.entries(plotData.models).forEach(([key, model]) => {
+        oracles.set(normalizeName(key), key);
+        oracles.set(normalizeName(model.displayName), key);
+    });
+
+    const records = userResultRecords(text, issues);
+    if (issues.length === 0 && records.length === 0) issues.add('', 'no points found');
+
+    const points = [];
+    records.forEach(record => {
+        const at = record.path;
+        const method = String(record.method ?? '').trim();
+        const oracle = oracles.get(normalizeName(record.oracle ?? ''));
+        const tokens = Number(record.tokens);
+        const metric = Number(record.metric);
+        if (!method) issues.add(`${at}.method`, 'expected a method name');
+        if (!oracle) {
+            const names = Object.values(plotData.models).map(model => model.displayName).join(', ');
+            issues.add(`${at}.oracle`, `unknown oracle ${JSON.stringify(record.oracle)} (expected one of ${names})`);
+        }
+        if (!Number.isFinite(tokens) || tokens <= 0) {
+            issues.add(`${at}.tokens`, `expected a positive number of tokens (thousands), got ${JSON.stringify(record.tokens)}`);
+        }
+        if (record.metric === '' || !Number.isFinite(metric)) {
+            issues.add(`${at}.metric`, `expected a number, got ${JSON.stringify(record.metric)}`);
+        }
+        const configuration = String(record.configuration ?? '').trim();
+        points.push({ method, oracle, tokens, metric, ...(configuration ? { configuration } : {}) });
+    });
+
+    if (issues.length > 0) throw new SchemaError(source, issues);
+    return points;
+}
+
+// Saved points whose oracle is still in the plot data; unreadable storage yields none
+export function loadUserResults(plotData) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(USER_RESULTS_KEY) || '[]');
+        if (!Array.isArray(saved)) return [];
+        return saved.filter(point => point && plotData.models[point.oracle] &&
+            typeof point.method === 'string' && point.tokens > 0 && Number.isFinite(point.metric));
+    } catch (e) {
+        return [];
+    }
+}
+
+// `saved` followed by the `added` points not already among them; a point is a
+// repeat when its oracle, method, tokens and metric all match
+export function mergeUserResults(saved, added) {
+    const key = point => JSON.stringify([point.oracle, point.method, point.tokens, point.metric]);
+    const seen = new Set(saved.map(key));
+    return [...saved, ...added.filter(point => !seen.has(key(point)) && seen.add(key(point)))];
+}
+
+export function saveUserResults(points) {
+    try {
+        if (points.length > 0) localStorage.setItem(USER_RESULTS_KEY, JSON.stringify(points));
+        else localStorage.removeItem(USER_RESULTS_KEY);
+    } catch (e) {
+        console.warn('Could not save your results:', e);
+    }
+}
+
+/**
+ * Plot data with the user's points added to each oracle: one marker trace per
+ * method (filled when non-dominated, open when another point of that oracle
+ * dominates it) and a dotted line along the recomputed frontier.
+ */
+export function withUserResults(plotData, points) {
+    if (points.length === 0) return plotData;
+    const methods = [...new Set(points.map(point => point.method))];
+    const models = {};
+    Object.entries(plotData.models).forEach(([key, model]) => {
+        const own = points.filter(point => point.oracle === key);
+        if (own.length === 0) {
+            models[key] = model;
+            return;
+        }
+        const published = paretoRows(plotData, [key]).map(row => ({ x: row.avgTokensPerQueryK, y: row.ndcg10 }));
+        const all = [...published, ...own.map(point => ({ x: point.tokens, y: point.metric }))];
+        const dominated = point => all.some(other => dominates(other, { x: point.tokens, y: point.metric }));
+
+        const traces = methods.filter(method => own.some(point => point.method === method)).map(method => {
+            const color = USER_RESULT_COLORS[methods.indexOf(method) % USER_RESULT_COLORS.length];
+            const runs = own.filter(point => point.method === method);
+            return {
+                type: 'scatter',
+                mode: 'markers',
+                x: runs.map(point => point.tokens),
+                y: runs.map(point => point.metric),
+                customdata: runs.map(point => point.configuration || method),
+                text: runs.map(point => (dominated(point) ? 'Dominated' : 'Non-dominated')),
+                name: `${method} (yours)`,
+                legendgroup: `${method} (yours)`,
+                marker: {
+                    symbol: runs.map(point => (dominated(point) ? 'circle-open' : 'circle')),
+                    size: 11,
+                    color,
+                    line: { color, width: 2 }
+                },
+                hovertemplate: '<b>%{customdata}</b><br>nDCG@10: %{y:.1f}<br>Tokens/Query: %{x:.1f}k<br>%{text}<extra></extra>'
+            };
+        });
+        const frontier = all.filter(point => !all.some(other => dominates(other, point))).sort((a, b) => a.x - b.x);
+        traces.push({
+            type: 'scatter',
+            mode: 'lines',
+            x: frontier.map(point => point.x),
+            y: frontier.map(point => point.y),
+            name: 'Pareto frontier',
+            legendgroup: FRONTIER_GROUP,
+            line: { color: '#333333', width: 1.5, dash: 'dot' },
+            hoverinfo: 'skip'
+        });
+        models[key] = { ...model, data: [...model.data, ...traces] };
+    });
+    return { ...plotData, models };
+}